@@ -43,17 +43,27 @@ import {
   ARIA_HIDDEN,
   ARIA_SELECTED
 } from '../utils/constants';
+import { removeChildElements, transitionSize } from '../utils/dom-utils';
+import { fetchContent, loadContent } from '../utils/content-loader';
+import { jsonStringToObject } from '../utils/json-utils';
+import { getStorageAdapter, hashId, registerStorageAdapter, setHashId } from '../utils/storage';
+import '../utils/resize-observer';
 
 
 (function() {
   'use strict';
   const ACCORDION            = 'mdlext-accordion';
+  const JS_ACCORDION         = 'mdlext-js-accordion';
   const ACCORDION_VERTICAL   = 'mdlext-accordion--vertical';
   const ACCORDION_HORIZONTAL = 'mdlext-accordion--horizontal';
+  const ACCORDION_TABS       = 'mdlext-accordion--tabs';
+  const LAYOUTS              = { vertical: ACCORDION_VERTICAL, horizontal: ACCORDION_HORIZONTAL, tabs: ACCORDION_TABS };
   const PANEL                = 'mdlext-accordion__panel';
   const PANEL_ROLE           = 'presentation';
   const TAB                  = 'mdlext-accordion__tab';
   const TAB_CAPTION          = 'mdlext-accordion__tab__caption';
+  const TAB_ICON             = 'material-icons';
+  const TAB_TOGGLE_ICON      = 'mdlext-aria-toggle-material-icons';
   const TAB_ROLE             = 'tab';
   const TABPANEL             = 'mdlext-accordion__tabpanel';
   const TABPANEL_ROLE        = 'tabpanel';
@@ -61,6 +71,23 @@ import {
   const RIPPLE               = 'mdlext-accordion__tab--ripple';
   const ANIMATION_EFFECT     = 'mdlext-js-animation-effect';
   const ANIMATION            = 'mdlext-accordion__tabpanel--animation';
+  const PANEL_ANIMATION      = 'mdlext-accordion__panel--animation';
+  const TABPANEL_LOADING     = 'mdlext-accordion__tabpanel--loading';
+  const TABPANEL_ERROR       = 'mdlext-accordion__tabpanel--error';
+  const TABPANEL_ERROR_MSG   = 'mdlext-accordion__tabpanel__error';
+  const TABPANEL_RETRY       = 'mdlext-accordion__tabpanel__retry';
+  const ARIA_BUSY            = 'aria-busy';
+  const SORTABLE             = 'mdlext-accordion--sortable';
+  const PANEL_DRAGGING       = 'mdlext-accordion__panel--dragging';
+  const LIVE_REGION          = 'mdlext-accordion__live-region';
+  const DRAG_DISTANCE        = 5;   // px. A shorter pointer movement is a click
+  const TYPE_AHEAD_TIMEOUT   = 500; // ms. Typed characters are a prefix until the user pauses typing
+
+  const MESSAGES = {
+    loadError: 'Could not load content',
+    retry    : 'Retry',
+    moved    : '{caption}, moved to position {position} of {count}'
+  };
 
   /**
    * @constructor
@@ -71,6 +98,47 @@ import {
     // Stores the Accordion HTML element.
     this.element_ = element;
 
+    // Running open/close transitions, keyed by tabpanel
+    this.transitions_ = new Map();
+
+    // Registered content loaders, keyed by tabpanel
+    this.loaders_ = new Map();
+
+    // Removes the listeners added by upgradeTab, keyed by tab. Weak, tabs may be removed by the application
+    this.tabListeners_ = new WeakMap();
+
+    // Model of panels rendered by setPanels, keyed by panel
+    this.models_ = new WeakMap();
+
+    // Default config
+    this.config_ = {
+      breakpoints: null,
+      updateHash: false,
+      messages: {}
+    };
+
+    // Layout given in markup, used below the smallest breakpoint
+    this.baseLayout_ = null;
+
+    // Storage adapter and key of persisted state, set in init
+    this.persistence_ = null;
+
+    // Observes the accordion width if breakpoints are configured
+    this.resizeObserver_ = null;
+
+    // Opens the tab linked by the URL fragment
+    this.hashChangeHandler_ = null;
+
+    // Starts dragging a tab of a sortable accordion
+    this.dragStartHandler_ = null;
+
+    // Announces reordered panels to assistive technology, created on first use
+    this.liveRegion_ = null;
+
+    // Characters typed to find a tab, and the timer that resets them
+    this.typeAheadBuffer_ = '';
+    this.typeAheadTimer_ = 0;
+
     // Initialize instance.
     this.init();
   };
@@ -78,6 +146,14 @@ import {
 
 
   // Helpers
+
+  // Child elements only, so that a nested accordion does not leak into its parent accordion
+  const childElement = ( element, className ) =>
+    [...element.children].find( el => el.classList.contains(className) ) || null;
+
+  const accordionPanels = ( element ) =>
+    [...element.children].filter( el => el.classList.contains(PANEL) );
+
   const accordionPanelElements = ( element ) => {
     if(!element) {
       return {
@@ -89,20 +165,136 @@ import {
     else if (element.classList.contains(PANEL)) {
       return {
         panel: element,
-        tab: element.querySelector(`.${TAB}`),
-        tabpanel: element.querySelector(`.${TABPANEL}`)
+        tab: childElement(element, TAB),
+        tabpanel: childElement(element, TABPANEL)
       };
     }
     else {
       return {
         panel: element.parentNode,
-        tab: element.parentNode.querySelector(`.${TAB}`),
-        tabpanel: element.parentNode.querySelector(`.${TABPANEL}`)
+        tab: childElement(element.parentNode, TAB),
+        tabpanel: childElement(element.parentNode, TABPANEL)
       };
     }
   };
 
 
+  /**
+   * Register a storage adapter, e.g. backed by an application state store. Select the adapter
+   * with the 'data-persist-storage' attribute. Register adapters before the accordions are upgraded.
+   * The adapter is also available to collapsibles
+   * @param {string} name
+   * @param {Object} adapter with the methods getItem(key) and setItem(key, value)
+   */
+  MaterialExtAccordion['registerStorageAdapter'] = registerStorageAdapter;
+
+  /**
+   * Render an accordion from a model. Renders into the container if the container is an accordion, or into
+   * an accordion in the container. If the container has no accordion, a vertical accordion is appended
+   * @param {Element} container
+   * @param {Array<Object>} model Panels, {id, caption, icon, content|loader, disabled, expanded}
+   * @return {Element} the accordion
+   */
+  MaterialExtAccordion['render'] = (container, model) => {
+    let accordion = container.classList.contains(ACCORDION) ? container : childElement(container, ACCORDION);
+    if(!accordion) {
+      accordion = document.createElement('div');
+      accordion.classList.add(ACCORDION);
+      accordion.classList.add(JS_ACCORDION);
+      accordion.classList.add(ACCORDION_VERTICAL);
+      container.appendChild(accordion);
+    }
+    if(!accordion.MaterialExtAccordion) {
+      componentHandler.upgradeElement(accordion, 'MaterialExtAccordion');
+    }
+    accordion.MaterialExtAccordion.setPanels(model);
+    return accordion;
+  };
+
+  // Identity of a panel in persisted state, the id of the tab or the panel, or the position of the panel
+  const panelIdentity = (panel, index) => {
+    const tab = childElement(panel, TAB);
+    return (tab && tab.id) || panel.id || String(index);
+  };
+
+  // In horizontal layout, caption must have a max-width defined to prevent pushing elements to the right of the caption out of view.
+  // In JsDom, offsetWidth and offsetHeight properties do not work, so this function is not testable.
+  /* istanbul ignore next */
+  const calcMaxTabCaptionWidth = tab => {
+
+    const tabCaption = tab.querySelector(`.${TAB_CAPTION}`);
+    if(tabCaption !== null) {
+      const w = [...tab.children]
+        .filter( el => el.classList && !el.classList.contains(TAB_CAPTION) )
+        .reduce( (v, el) => v + el.offsetWidth, 0 );
+
+      const maxWidth = tab.clientHeight - w;
+      if(maxWidth > 0) {
+        tabCaption.style['max-width'] = `${maxWidth}px`;
+      }
+    }
+  };
+
+  // Replace the tabpanel content with a HTML string or an element
+  const setTabpanelContent = (tabpanel, content) => {
+    if(typeof content === 'string') {
+      tabpanel.innerHTML = content;
+    }
+    else if(content instanceof Node) {
+      removeChildElements(tabpanel);
+      tabpanel.appendChild(content);
+    }
+  };
+
+  // Create or update the tab header elements from a panel model, the icon, the caption and the state icon
+  const renderTab = (tab, { icon, caption }) => {
+    let iconElement = childElement(tab, TAB_ICON);
+    let captionElement = childElement(tab, TAB_CAPTION);
+
+    if(!captionElement) {
+      captionElement = document.createElement('span');
+      captionElement.classList.add(TAB_CAPTION);
+      tab.appendChild(captionElement);
+
+      const toggleIcon = document.createElement('i');
+      toggleIcon.classList.add(TAB_TOGGLE_ICON);
+      tab.appendChild(toggleIcon);
+    }
+    if(captionElement.textContent !== String(caption || '')) {
+      captionElement.textContent = caption || '';
+    }
+
+    if(icon) {
+      if(!iconElement) {
+        iconElement = document.createElement('i');
+        iconElement.classList.add(TAB_ICON);
+        tab.insertBefore(iconElement, captionElement);
+      }
+      iconElement.textContent = icon;
+    }
+    else if(iconElement) {
+      tab.removeChild(iconElement);
+    }
+  };
+
+  const clientXY = event => {
+    const point = event.touches !== undefined && event.touches.length > 0 ? event.touches[0] : event;
+    return { x: point.clientX || 0, y: point.clientY || 0 };
+  };
+
+  // Printable character of a keydown event, or null. Falls back to the key code of letters and digits
+  const typedCharacter = event => {
+    if(event.ctrlKey || event.metaKey || event.altKey) {
+      return null;
+    }
+    if(event.key) {
+      return event.key.length === 1 ? event.key : null;
+    }
+    const keyCode = event.keyCode;
+    return (keyCode >= 48 && keyCode <= 57) || (keyCode >= 65 && keyCode <= 90) ? String.fromCharCode(keyCode) : null;
+  };
+
+
   // Private methods.
 
   /**
@@ -132,22 +324,54 @@ import {
       cancelable: true,
       detail: { state: state, tab: tab, tabpanel: tabpanel }
     });
+    this.saveState_();
+    if(state === 'open' && this.config_.updateHash) {
+      this.updateHash_(tab, tabpanel);
+    }
     this.element_.dispatchEvent(ce);
   };
 
+  /**
+   * Dispatch beforetoggle event, before the tab state changes
+   * @param {string} state
+   * @param {Element} tab
+   * @param {Element} tabpanel
+   * @return {boolean} false if a listener cancelled the event
+   * @private
+   */
+  MaterialExtAccordion.prototype.dispatchBeforeToggleEvent_ = function ( state, tab, tabpanel ) {
+    const ce = new CustomEvent('beforetoggle', {
+      bubbles: true,
+      cancelable: true,
+      detail: { state: state, tab: tab, tabpanel: tabpanel }
+    });
+    return this.element_.dispatchEvent(ce);
+  };
+
   /**
    * Open tab
    * @param {Element} panel
    * @param {Element} tab
    * @param {Element} tabpanel
+   * @param {boolean} closeOthers close the other open tabs, after the beforetoggle event for this tab has passed
+   * @return {boolean} false if the beforetoggle event was cancelled, or closing another tab was cancelled
    * @private
    */
-  MaterialExtAccordion.prototype.openTab_ = function( panel, tab, tabpanel ) {
-    panel.classList.add(IS_EXPANDED);
-    tab.setAttribute(ARIA_EXPANDED, 'true');
-    tabpanel.removeAttribute('hidden');
-    tabpanel.setAttribute(ARIA_HIDDEN, 'false');
-    this.dispatchToggleEvent_('open', tab, tabpanel);
+  MaterialExtAccordion.prototype.openTab_ = function( panel, tab, tabpanel, closeOthers = false ) {
+    if(!this.dispatchBeforeToggleEvent_('open', tab, tabpanel)) {
+      return false;
+    }
+    if(closeOthers && !this.closeTabs_()) {
+      // The tab does not open if closing another tab is cancelled
+      return false;
+    }
+    this.transitionTab_(panel, tabpanel, true, () => {
+      panel.classList.add(IS_EXPANDED);
+      tab.setAttribute(ARIA_EXPANDED, 'true');
+      tabpanel.setAttribute(ARIA_HIDDEN, 'false');
+    }, () => this.dispatchToggleEvent_('open', tab, tabpanel));
+    this.loadTabpanel_(tab, tabpanel);
+    return true;
   };
 
   /**
@@ -155,14 +379,77 @@ import {
    * @param {Element} panel
    * @param {Element} tab
    * @param {Element} tabpanel
+   * @return {boolean} false if the beforetoggle event was cancelled
    * @private
    */
   MaterialExtAccordion.prototype.closeTab_ = function( panel, tab, tabpanel ) {
-    panel.classList.remove(IS_EXPANDED);
-    tab.setAttribute(ARIA_EXPANDED, 'false');
-    tabpanel.setAttribute('hidden', '');
-    tabpanel.setAttribute(ARIA_HIDDEN, 'true');
-    this.dispatchToggleEvent_('close', tab, tabpanel);
+    if(!this.dispatchBeforeToggleEvent_('close', tab, tabpanel)) {
+      return false;
+    }
+    this.transitionTab_(panel, tabpanel, false, () => {
+      panel.classList.remove(IS_EXPANDED);
+      tab.setAttribute(ARIA_EXPANDED, 'false');
+      tabpanel.setAttribute(ARIA_HIDDEN, 'true');
+    }, () => this.dispatchToggleEvent_('close', tab, tabpanel));
+    return true;
+  };
+
+  /**
+   * Animate the tabpanel height, or the panel width if horizontal layout, from its current size to the size
+   * of its content when opening, or back to its closed size when closing. If a transition is running,
+   * it reverses from the current size. Without 'mdlext-js-animation-effect', in tabs layout, or if the user
+   * prefers reduced motion, the tab opens or closes instantly
+   * @param {Element} panel
+   * @param {Element} tabpanel
+   * @param {boolean} open
+   * @param {Function} update updates the open/close state, called when the start size is measured
+   * @param {Function} done called when the transition completes
+   * @private
+   */
+  MaterialExtAccordion.prototype.transitionTab_ = function( panel, tabpanel, open, update, done ) {
+    const horizontal = this.element_.classList.contains(ACCORDION_HORIZONTAL);
+    const el = horizontal ? panel : tabpanel;
+    const dimension = horizontal ? 'width' : 'height';
+
+    const from = !horizontal && tabpanel.hasAttribute('hidden') ? 0 : el.getBoundingClientRect()[dimension];
+    this.cancelTransition_(tabpanel);
+
+    update();
+    if(open) {
+      tabpanel.removeAttribute('hidden');
+    }
+
+    const finish = () => {
+      this.cancelTransition_(tabpanel);
+      if(!open) {
+        tabpanel.setAttribute('hidden', '');
+      }
+      done();
+    };
+
+    if(!tabpanel.classList.contains(ANIMATION) || this.getLayout_() === 'tabs') {
+      finish();
+      return;
+    }
+
+    const to = open || horizontal ? el.getBoundingClientRect()[dimension] : 0;
+    const cancel = transitionSize(el, dimension, from, to, finish);
+    if(cancel) {
+      this.transitions_.set(tabpanel, { cancel: cancel, finish: finish });
+    }
+  };
+
+  /**
+   * Cancel a running open/close transition, and remove the inline styles set by the transition
+   * @param {Element} tabpanel
+   * @private
+   */
+  MaterialExtAccordion.prototype.cancelTransition_ = function( tabpanel ) {
+    const transition = this.transitions_.get(tabpanel);
+    if(transition) {
+      transition.cancel();
+      this.transitions_.delete(tabpanel);
+    }
   };
 
   /**
@@ -178,26 +465,653 @@ import {
         this.closeTab_(panel, tab, tabpanel);
       }
       else {
-        if (this.element_.getAttribute(ARIA_MULTISELECTABLE).toLowerCase() !== 'true') {
-          this.closeTabs_();
+        // Only one panel can be open if not multiselectable, so the other tabs close when the tab opens
+        const closeOthers = this.element_.getAttribute(ARIA_MULTISELECTABLE).toLowerCase() !== 'true';
+        this.openTab_(panel, tab, tabpanel, closeOthers);
+      }
+    }
+  };
+
+  /**
+   * Load the tabpanel content, the first time the tab opens, from a registered loader or from the 'data-src' URL.
+   * Emits a 'panelloaded' event when the content is in place and upgraded. If loading fails, the tabpanel
+   * gets an error state with a retry button
+   * @param {Element} tab
+   * @param {Element} tabpanel
+   * @private
+   */
+  MaterialExtAccordion.prototype.loadTabpanel_ = function( tab, tabpanel ) {
+    const loader = this.loaders_.get(tabpanel);
+    const src = tabpanel.getAttribute('data-src');
+
+    if((!loader && !src) || tabpanel.hasAttribute(ARIA_BUSY)) {
+      return;
+    }
+
+    const errorElement = childElement(tabpanel, TABPANEL_ERROR_MSG);
+    if(errorElement) {
+      tabpanel.removeChild(errorElement);
+    }
+
+    const load = loader
+      ? () => loader(tabpanel)
+      : () => fetchContent(src);
+
+    const loaded = content => {
+      setTabpanelContent(tabpanel, content);
+      this.loaders_.delete(tabpanel);
+      tabpanel.removeAttribute('data-src');
+
+      componentHandler.upgradeElements(tabpanel);
+
+      this.element_.dispatchEvent(new CustomEvent('panelloaded', {
+        bubbles: true,
+        cancelable: false,
+        detail: { tab: tab, tabpanel: tabpanel }
+      }));
+    };
+
+    const failed = () => {
+      const message = document.createElement('div');
+      message.classList.add(TABPANEL_ERROR_MSG);
+      message.setAttribute('role', 'alert');
+      message.textContent = this.getMessage_('loadError', { src: src || '' });
+
+      const retry = document.createElement('button');
+      retry.setAttribute('type', 'button');
+      retry.classList.add(TABPANEL_RETRY);
+      retry.textContent = this.getMessage_('retry');
+      retry.addEventListener('click', () => this.loadTabpanel_(tab, tabpanel));
+      message.appendChild(retry);
+      tabpanel.appendChild(message);
+    };
+
+    // Not then().catch(), an error after the content is in place is not a load error
+    loadContent(tabpanel, load, { loadingClass: TABPANEL_LOADING, errorClass: TABPANEL_ERROR }).then(loaded, failed);
+  };
+
+  /**
+   * Get a message text from the 'messages' config, or the default text. Placeholders, e.g. '{src}', are
+   * replaced with the given values
+   * @param {string} name
+   * @param {Object} values
+   * @return {string}
+   * @private
+   */
+  MaterialExtAccordion.prototype.getMessage_ = function( name, values = {} ) {
+    const messages = this.config_.messages || {};
+    const message = typeof messages[name] === 'string' ? messages[name] : MESSAGES[name];
+    return message.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+  };
+
+  /**
+   * Get the storage adapter and key for persisted state, or null if the accordion has no 'data-persist' key
+   * @return {{storage: Object, key: string}|null}
+   * @throws {Error} if the storage is unknown
+   * @private
+   */
+  MaterialExtAccordion.prototype.getPersistence_ = function() {
+    const key = this.element_.getAttribute('data-persist');
+    if(!key) {
+      return null;
+    }
+    const name = this.element_.getAttribute('data-persist-storage') || 'session';
+    return { storage: getStorageAdapter(name), key: key };
+  };
+
+  /**
+   * Save open and selected tabs, if the accordion has a 'data-persist' key
+   * @private
+   */
+  MaterialExtAccordion.prototype.saveState_ = function() {
+    const persistence = this.persistence_;
+    if(persistence) {
+      const panels = accordionPanels(this.element_);
+      const selected = panels.findIndex( panel => {
+        const tab = childElement(panel, TAB);
+        return tab && tab.getAttribute(ARIA_SELECTED) === 'true';
+      });
+
+      const state = {
+        open: panels
+          .map( (panel, i) => panel.classList.contains(IS_EXPANDED) ? panelIdentity(panel, i) : null )
+          .filter( id => id !== null ),
+        selected: selected >= 0 ? panelIdentity(panels[selected], selected) : null
+      };
+
+      try {
+        persistence.storage.setItem(persistence.key, JSON.stringify(state));
+      }
+      catch(e) {
+        // Storage is full, or not available, e.g. disabled by the user
+      }
+    }
+  };
+
+  /**
+   * Restore open and selected tabs, if the accordion has a 'data-persist' key. Tabs that no longer
+   * exist are ignored. If none of the saved open tabs exist, the open tabs given in markup are kept
+   * @private
+   */
+  MaterialExtAccordion.prototype.restoreState_ = function() {
+    const persistence = this.persistence_;
+    if(!persistence) {
+      return;
+    }
+
+    let state = null;
+    try {
+      state = JSON.parse(persistence.storage.getItem(persistence.key));
+    }
+    catch(e) {
+      return;
+    }
+    if(!state || !Array.isArray(state.open)) {
+      return;
+    }
+
+    const panels = accordionPanels(this.element_);
+    const ids = panels.map( (panel, i) => panelIdentity(panel, i) );
+
+    if(state.open.length === 0 || state.open.some( id => ids.indexOf(id) >= 0 )) {
+      const multiselectable = this.element_.getAttribute(ARIA_MULTISELECTABLE).toLowerCase() === 'true';
+      let opened = 0;
+
+      panels.forEach( (panel, i) => {
+        const tab = childElement(panel, TAB);
+        if(tab) {
+          const open = state.open.indexOf(ids[i]) >= 0 && (multiselectable || opened++ === 0);
+          tab.setAttribute(ARIA_EXPANDED, open ? 'true' : 'false');
+        }
+      });
+    }
+
+    const selected = ids.indexOf(state.selected);
+    if(selected >= 0) {
+      panels.forEach( (panel, i) => {
+        const tab = childElement(panel, TAB);
+        if(tab) {
+          if(i === selected) {
+            tab.setAttribute(ARIA_SELECTED, 'true');
+          }
+          else {
+            tab.removeAttribute(ARIA_SELECTED);
+          }
+        }
+      });
+    }
+  };
+
+  /**
+   * Select a tab, and unselect the previously selected tab
+   * @param {Element} tab
+   * @private
+   */
+  MaterialExtAccordion.prototype.selectTab_ = function( tab ) {
+    if( !tab.hasAttribute(ARIA_SELECTED) ) {
+      accordionPanels(this.element_)
+        .map( panel => childElement(panel, TAB) )
+        .filter( selectedTab => selectedTab && selectedTab.hasAttribute(ARIA_SELECTED) )
+        .forEach( selectedTab => selectedTab.removeAttribute(ARIA_SELECTED) );
+      tab.setAttribute(ARIA_SELECTED, 'true');
+      this.saveState_();
+    }
+  };
+
+  /**
+   * Open, select and scroll to the tab whose id, or whose tabpanel's id, matches the URL fragment.
+   * If the fragment links to a tab of a nested accordion, the panel holding the nested accordion opens,
+   * and the nested accordion scrolls to its tab. Disabled tabs are left as is
+   * @private
+   */
+  MaterialExtAccordion.prototype.openFromHash_ = function() {
+    const id = hashId();
+    if(!id) {
+      return;
+    }
+
+    const target = document.getElementById(id);
+    if(!target || !(target.classList.contains(TAB) || target.classList.contains(TABPANEL))) {
+      return;
+    }
+
+    const panel = accordionPanels(this.element_).find( p => p.contains(target) );
+    if(panel) {
+      const { tab, tabpanel } = accordionPanelElements(panel);
+      if(tab && !(this.element_.hasAttribute('disabled') || tab.hasAttribute('disabled'))) {
+        this.command({ action: 'open', target: panel });
+        this.selectTab_(tab);
+        if((target === tab || target === tabpanel) && typeof tab.scrollIntoView === 'function') {
+          tab.scrollIntoView();
         }
-        this.openTab_(panel, tab, tabpanel);
       }
     }
   };
 
+  /**
+   * Set the deep link of the URL fragment to the id of an opened tab, or of its tabpanel. State saved in the
+   * fragment by the 'hash' storage is kept. Replaces the current history entry, so the page does not scroll
+   * and no 'hashchange' event is emitted
+   * @param {Element} tab
+   * @param {Element} tabpanel
+   * @private
+   */
+  MaterialExtAccordion.prototype.updateHash_ = function( tab, tabpanel ) {
+    const id = tab.id || (tabpanel && tabpanel.id);
+    if(id) {
+      setHashId(id);
+    }
+  };
+
+  /**
+   * Get current layout, 'vertical', 'horizontal' or 'tabs'
+   * @return {string|undefined}
+   * @private
+   */
+  MaterialExtAccordion.prototype.getLayout_ = function() {
+    return Object.keys(LAYOUTS).find( layout => this.element_.classList.contains(LAYOUTS[layout]) );
+  };
+
+  /**
+   * Get the layout for a given accordion width, from the configured breakpoints
+   * @param {number} width
+   * @return {string}
+   * @private
+   */
+  MaterialExtAccordion.prototype.getLayoutForWidth_ = function( width ) {
+    const breakpoints = this.config_.breakpoints || {};
+    return Object.keys(breakpoints)
+      .map( minWidth => parseInt(minWidth) )
+      .sort( (a, b) => a - b )
+      .reduce( (layout, minWidth) => width >= minWidth ? breakpoints[minWidth] : layout, this.baseLayout_ );
+  };
+
+  /**
+   * Swap layout at runtime. Open, selected and focused tabs are kept
+   * @param {string} layout 'vertical', 'horizontal' or 'tabs'
+   * @private
+   */
+  MaterialExtAccordion.prototype.setLayout_ = function( layout ) {
+    if(layout === this.getLayout_()) {
+      return;
+    }
+
+    // Complete running transitions, the animated dimension depends on the layout
+    [...this.transitions_.values()].forEach( transition => transition.finish() );
+
+    Object.keys(LAYOUTS).forEach( name => this.element_.classList.remove(LAYOUTS[name]) );
+    this.element_.classList.add(LAYOUTS[layout]);
+    this.element_.setAttribute('aria-orientation', layout === 'vertical' ? 'vertical' : 'horizontal');
+
+    accordionPanels(this.element_).map( panel => childElement(panel, TAB) ).filter( tab => tab ).forEach( tab => {
+      if(layout === 'horizontal') {
+        calcMaxTabCaptionWidth(tab);
+      }
+      else {
+        const tabCaption = tab.querySelector(`.${TAB_CAPTION}`);
+        if(tabCaption !== null) {
+          tabCaption.style['max-width'] = '';
+        }
+      }
+    });
+  };
+
+  /**
+   * Observe the accordion width, and swap layout at the configured breakpoints
+   * @private
+   */
+  MaterialExtAccordion.prototype.addResizeObserver_ = function() {
+    this.resizeObserver_ = new window.ResizeObserver( entries => {
+      entries.forEach( entry => this.setLayout_(this.getLayoutForWidth_(entry.contentRect.width)) );
+    });
+    this.resizeObserver_.observe(this.element_);
+  };
+
+  /**
+   * Stop observing the accordion width. The ResizeObserver polyfill polls its observers until they are destroyed
+   * @private
+   */
+  MaterialExtAccordion.prototype.removeResizeObserver_ = function() {
+    if(this.resizeObserver_) {
+      if(typeof this.resizeObserver_.destroy === 'function') {
+        this.resizeObserver_.destroy();
+      }
+      else {
+        this.resizeObserver_.disconnect();
+      }
+      this.resizeObserver_ = null;
+    }
+  };
+
+  /**
+   * Remove the listeners added by upgradeTab
+   * @param {Element} tab
+   * @private
+   */
+  MaterialExtAccordion.prototype.removeTabListeners_ = function( tab ) {
+    const removeListeners = this.tabListeners_.get(tab);
+    if(removeListeners) {
+      removeListeners();
+      this.tabListeners_.delete(tab);
+    }
+  };
+
+  /**
+   * Create a panel, with tab and tabpanel, from a panel model. The panel is upgraded by setPanels
+   * @param {Object} model
+   * @return {Element} the panel
+   * @private
+   */
+  MaterialExtAccordion.prototype.createPanel_ = function( model ) {
+    const list = this.element_.tagName.toLowerCase() === 'ul' || this.element_.tagName.toLowerCase() === 'ol';
+    const panel = document.createElement(list ? 'li' : 'div');
+    const tab = document.createElement('header');
+    const tabpanel = document.createElement('section');
+
+    panel.classList.add(PANEL);
+    tab.classList.add(TAB);
+    tab.id = model.id;
+    tab.setAttribute(ARIA_EXPANDED, model.expanded ? 'true' : 'false');
+    tabpanel.classList.add(TABPANEL);
+
+    panel.appendChild(tab);
+    panel.appendChild(tabpanel);
+    return panel;
+  };
+
+  /**
+   * Remove a panel, and clean up its listeners, transitions, loader and upgraded components
+   * @param {Element} panel
+   * @private
+   */
+  MaterialExtAccordion.prototype.removePanel_ = function( panel ) {
+    const { tab, tabpanel } = accordionPanelElements(panel);
+    if(tab) {
+      this.removeTabListeners_(tab);
+    }
+    if(tabpanel) {
+      this.cancelTransition_(tabpanel);
+      this.loaders_.delete(tabpanel);
+      componentHandler.downgradeElements([...tabpanel.querySelectorAll('[data-upgraded]')]);
+    }
+    this.models_.delete(panel);
+    panel.parentNode.removeChild(panel);
+  };
+
+  /**
+   * Add a typed character to the type-ahead prefix, and find the next enabled tab whose caption starts with
+   * the prefix. Typing the same character repeatedly cycles through the tabs starting with the character
+   * @param {Element} tab The focused tab
+   * @param {string} character
+   * @return {Element|null} the matching tab
+   * @private
+   */
+  MaterialExtAccordion.prototype.typeAhead_ = function( tab, character ) {
+    clearTimeout(this.typeAheadTimer_);
+    this.typeAheadTimer_ = setTimeout( () => this.typeAheadBuffer_ = '', TYPE_AHEAD_TIMEOUT);
+    this.typeAheadBuffer_ += character.toLowerCase();
+
+    const buffer = this.typeAheadBuffer_;
+    const prefix = buffer.split('').every( c => c === buffer[0] ) ? buffer[0] : buffer;
+
+    const tabs = accordionPanels(this.element_).map( panel => childElement(panel, TAB) ).filter( t => t );
+    const current = tabs.indexOf(tab);
+
+    // A new search starts after the focused tab, a longer prefix may still match the focused tab
+    const start = current + (prefix.length === 1 ? 1 : 0);
+
+    for(let i = 0; i < tabs.length; i++) {
+      const candidate = tabs[(start + i) % tabs.length];
+      const caption = childElement(candidate, TAB_CAPTION) || candidate;
+      if(!candidate.hasAttribute('disabled') && caption.textContent.trim().toLowerCase().indexOf(prefix) === 0) {
+        return candidate;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Move a panel to a new position among the panels of the accordion
+   * @param {Element} panel
+   * @param {number} index
+   * @return {boolean} true if the panel moved
+   * @private
+   */
+  MaterialExtAccordion.prototype.movePanel_ = function( panel, index ) {
+    const others = accordionPanels(this.element_).filter( p => p !== panel );
+    const to = Math.max(0, Math.min(index, others.length));
+    if(to === accordionPanels(this.element_).indexOf(panel)) {
+      return false;
+    }
+    this.element_.insertBefore(panel, to < others.length ? others[to] : others[others.length - 1].nextSibling);
+    return true;
+  };
+
+  /**
+   * Move a panel with Ctrl+Arrow, Ctrl+Home or Ctrl+End, and keep focus on the tab
+   * @param {Element} panel
+   * @param {Element} tab
+   * @param {Element} tabpanel
+   * @param {number} keyCode
+   * @private
+   */
+  MaterialExtAccordion.prototype.moveTabByKey_ = function( panel, tab, tabpanel, keyCode ) {
+    const panels = accordionPanels(this.element_);
+    const from = panels.indexOf(panel);
+    let to = from;
+
+    if(keyCode === VK_HOME) {
+      to = 0;
+    }
+    else if(keyCode === VK_END) {
+      to = panels.length - 1;
+    }
+    else if(keyCode === VK_ARROW_UP || keyCode === VK_ARROW_LEFT) {
+      to = from - 1;
+    }
+    else if(keyCode === VK_ARROW_DOWN || keyCode === VK_ARROW_RIGHT) {
+      to = from + 1;
+    }
+
+    if(this.movePanel_(panel, to)) {
+      // Moving an element removes focus from it
+      tab.focus();
+      this.selectTab_(tab);
+      this.dispatchReorderEvent_(tab, tabpanel, from, accordionPanels(this.element_).indexOf(panel));
+    }
+  };
+
+  /**
+   * Handle dragging a tab to reorder the panels. Uses Pointer Events, with pointer capture, if supported
+   * by the browser, otherwise mouse and touch events
+   * @param event a 'pointerdown', 'mousedown' or 'touchstart' event
+   * @private
+   */
+  MaterialExtAccordion.prototype.dragHandler_ = function( event ) {
+    if(!this.element_.classList.contains(SORTABLE) || this.element_.hasAttribute('disabled')) {
+      return;
+    }
+
+    const isPointer = event.type === 'pointerdown';
+    if((isPointer && event.isPrimary === false) || event.button > 0) {
+      // Only the primary pointer, and the main mouse button, drags a tab
+      return;
+    }
+
+    // The tab of a panel of this accordion, not of a nested accordion
+    let tab = event.target;
+    while(tab && tab !== this.element_ && !(tab.classList.contains(TAB) && tab.parentNode.parentNode === this.element_)) {
+      tab = tab.parentNode;
+    }
+    if(!tab || tab === this.element_ || tab.hasAttribute('disabled')) {
+      return;
+    }
+
+    const { panel, tabpanel } = accordionPanelElements(tab);
+    const pointerId = event.pointerId;
+    const vertical = this.getLayout_() === 'vertical';
+    const position = e => vertical ? clientXY(e).y : clientXY(e).x;
+    const middle = p => {
+      const r = p.getBoundingClientRect();
+      return vertical ? r.top + r.height / 2 : r.left + r.width / 2;
+    };
+
+    const start = position(event);
+    const from = accordionPanels(this.element_).indexOf(panel);
+    let dragging = false;
+
+    const drag = e => {
+      if(isPointer && e.pointerId !== pointerId) {
+        return;
+      }
+
+      const along = position(e);
+      if(!dragging) {
+        if(Math.abs(along - start) < DRAG_DISTANCE) {
+          return;
+        }
+        dragging = true;
+        panel.classList.add(PANEL_DRAGGING);
+      }
+      e.preventDefault();
+
+      // Move past the neighbours whose middle the pointer has crossed
+      const panels = accordionPanels(this.element_);
+      let i = panels.indexOf(panel);
+      while(i > 0 && along < middle(panels[i - 1])) {
+        i--;
+      }
+      while(i < panels.length - 1 && along > middle(panels[i + 1])) {
+        i++;
+      }
+      this.movePanel_(panel, i);
+    };
+
+    const endDrag = e => {
+      if(isPointer && e.pointerId !== pointerId) {
+        return;
+      }
+      removeDragListeners();
+
+      if(dragging) {
+        panel.classList.remove(PANEL_DRAGGING);
+
+        // The click that ends a drag does not toggle the tab
+        const suppressClick = ce => {
+          ce.stopPropagation();
+          ce.preventDefault();
+        };
+        this.element_.addEventListener('click', suppressClick, true);
+        setTimeout( () => this.element_.removeEventListener('click', suppressClick, true), 0);
+
+        tab.focus();
+        this.selectTab_(tab);
+
+        const to = accordionPanels(this.element_).indexOf(panel);
+        if(to !== from) {
+          this.dispatchReorderEvent_(tab, tabpanel, from, to);
+        }
+      }
+    };
+
+    const removeDragListeners = () => {
+      if(isPointer) {
+        tab.removeEventListener('pointermove', drag);
+        tab.removeEventListener('pointerup', endDrag);
+        tab.removeEventListener('pointercancel', endDrag);
+        if(tab.releasePointerCapture && tab.hasPointerCapture && tab.hasPointerCapture(pointerId)) {
+          tab.releasePointerCapture(pointerId);
+        }
+      }
+      else {
+        window.removeEventListener('mousemove', drag);
+        window.removeEventListener('mouseup', endDrag);
+        tab.removeEventListener('touchmove', drag);
+        tab.removeEventListener('touchend', endDrag);
+        tab.removeEventListener('touchcancel', endDrag);
+      }
+    };
+
+    if(isPointer) {
+      // Pointer capture, the tab receives pointer events even if the pointer leaves the tab
+      if(tab.setPointerCapture) {
+        tab.setPointerCapture(pointerId);
+      }
+      tab.addEventListener('pointermove', drag);
+      tab.addEventListener('pointerup', endDrag);
+      tab.addEventListener('pointercancel', endDrag);
+    }
+    else {
+      // Touch events target the touched element, wherever the touch moves
+      window.addEventListener('mousemove', drag);
+      window.addEventListener('mouseup', endDrag);
+      tab.addEventListener('touchmove', drag);
+      tab.addEventListener('touchend', endDrag);
+      tab.addEventListener('touchcancel', endDrag);
+    }
+  };
+
+  /**
+   * Remove the listeners that start dragging a tab
+   * @private
+   */
+  MaterialExtAccordion.prototype.removeDragListeners_ = function() {
+    if(this.dragStartHandler_) {
+      ['pointerdown', 'mousedown', 'touchstart'].forEach( type =>
+        this.element_.removeEventListener(type, this.dragStartHandler_, false)
+      );
+    }
+  };
+
+  /**
+   * Dispatch reorder event, and announce the new position of the panel
+   * @param {Element} tab
+   * @param {Element} tabpanel
+   * @param {number} oldIndex
+   * @param {number} newIndex
+   * @private
+   */
+  MaterialExtAccordion.prototype.dispatchReorderEvent_ = function ( tab, tabpanel, oldIndex, newIndex ) {
+    const caption = childElement(tab, TAB_CAPTION) || tab;
+    const count = accordionPanels(this.element_).length;
+    this.announce_(this.getMessage_('moved', { caption: caption.textContent.trim(), position: newIndex + 1, count: count }));
+
+    this.element_.dispatchEvent(new CustomEvent('reorder', {
+      bubbles: true,
+      cancelable: false,
+      detail: { tab: tab, tabpanel: tabpanel, oldIndex: oldIndex, newIndex: newIndex }
+    }));
+  };
+
+  /**
+   * Announce a message in a polite live region. The live region is placed after the accordion,
+   * a tablist should only hold tabs
+   * @param {string} message
+   * @private
+   */
+  MaterialExtAccordion.prototype.announce_ = function( message ) {
+    if(!this.liveRegion_) {
+      this.liveRegion_ = document.createElement('div');
+      this.liveRegion_.classList.add(LIVE_REGION);
+      this.liveRegion_.setAttribute('role', 'status');
+      this.liveRegion_.setAttribute('aria-live', 'polite');
+      this.element_.parentNode.insertBefore(this.liveRegion_, this.element_.nextSibling);
+    }
+    this.liveRegion_.textContent = message;
+  };
+
   /**
    * Open tabs
    * @private
    */
   MaterialExtAccordion.prototype.openTabs_ = function() {
     if (this.element_.getAttribute(ARIA_MULTISELECTABLE).toLowerCase() === 'true') {
-      [...this.element_.querySelectorAll(`.${ACCORDION} > .${PANEL}`)]
+      accordionPanels(this.element_)
         .filter(panel => !panel.classList.contains(IS_EXPANDED))
         .forEach(closedItem => {
-          const tab = closedItem.querySelector(`.${TAB}`);
+          const { tab, tabpanel } = accordionPanelElements(closedItem);
           if (!tab.hasAttribute('disabled')) {
-            this.openTab_(closedItem, tab, closedItem.querySelector(`.${TABPANEL}`));
+            this.openTab_(closedItem, tab, tabpanel);
           }
         });
     }
@@ -205,16 +1119,20 @@ import {
 
   /**
    * Close tabs
+   * @return {boolean} false if closing any of the tabs was cancelled
    * @private
    */
   MaterialExtAccordion.prototype.closeTabs_ = function() {
-    [...this.element_.querySelectorAll(`.${ACCORDION} > .${PANEL}.${IS_EXPANDED}`)]
+    let closed = true;
+    accordionPanels(this.element_)
+      .filter( panel => panel.classList.contains(IS_EXPANDED) )
       .forEach( panel => {
-        const tab = panel.querySelector(`.${TAB}`);
-        if(!tab.hasAttribute('disabled')) {
-          this.closeTab_(panel, tab, panel.querySelector(`.${TABPANEL}`));
+        const { tab, tabpanel } = accordionPanelElements(panel);
+        if(!tab.hasAttribute('disabled') && !this.closeTab_(panel, tab, tabpanel)) {
+          closed = false;
         }
       });
+    return closed;
   };
 
 
@@ -248,6 +1166,7 @@ import {
         panel.classList.add(IS_EXPANDED);
         tabpanel.removeAttribute('hidden');
         tabpanel.setAttribute(ARIA_HIDDEN, 'false');
+        this.loadTabpanel_(tab, tabpanel);
       }
       else {
         panel.classList.remove(IS_EXPANDED);
@@ -256,31 +1175,8 @@ import {
       }
     };
 
-    // In horizontal layout, caption must have a max-width defined to prevent pushing elements to the right of the caption out of view.
-    // In JsDom, offsetWidth and offsetHeight properties do not work, so this function is not testable.
-    /* istanbul ignore next */
-    const calcMaxTabCaptionWidth = () => {
-
-      const tabCaption = tab.querySelector(`.${TAB_CAPTION}`);
-      if(tabCaption !== null) {
-        const w = [...tab.children]
-          .filter( el => el.classList && !el.classList.contains(TAB_CAPTION) )
-          .reduce( (v, el) => v + el.offsetWidth, 0 );
-
-        const maxWidth = tab.clientHeight - w;
-        if(maxWidth > 0) {
-          tabCaption.style['max-width'] = `${maxWidth}px`;
-        }
-      }
-    };
-
     const selectTab = () => {
-      if( !tab.hasAttribute(ARIA_SELECTED) ) {
-        [...this.element_.querySelectorAll(`.${TAB}[aria-selected="true"]`)].forEach(
-          selectedTab => selectedTab.removeAttribute(ARIA_SELECTED)
-        );
-        tab.setAttribute(ARIA_SELECTED, 'true');
-      }
+      this.selectTab_(tab);
     };
 
     const tabClickHandler = () => {
@@ -306,22 +1202,55 @@ import {
         return;
       }
 
+      // Space is a part of the type-ahead prefix while the user is typing, otherwise it toggles the tab
+      const character = typedCharacter(e);
+      if(character && (character !== ' ' || this.typeAheadBuffer_)) {
+        const nextTab = this.typeAhead_(tab, character);
+        if(nextTab) {
+          e.preventDefault();
+          e.stopPropagation();
+          nextTab.focus();
+
+          // Workaround for JSDom testing:
+          // In JsDom 'element.focus()' does not trigger any focus event
+          this.selectTab_(nextTab);
+        }
+        return;
+      }
+
       if ( e.keyCode === VK_END        || e.keyCode === VK_HOME
         || e.keyCode === VK_ARROW_UP   || e.keyCode === VK_ARROW_LEFT
         || e.keyCode === VK_ARROW_DOWN || e.keyCode === VK_ARROW_RIGHT ) {
 
+        const vertical = this.getLayout_() === 'vertical';
+        if( (vertical && (e.keyCode === VK_ARROW_LEFT || e.keyCode === VK_ARROW_RIGHT))
+          || (!vertical && (e.keyCode === VK_ARROW_UP || e.keyCode === VK_ARROW_DOWN)) ) {
+          // Arrow keys across the layout are left to the page
+          return;
+        }
+
+        if(e.ctrlKey && this.element_.classList.contains(SORTABLE)) {
+          // Move the panel
+          e.preventDefault();
+          e.stopPropagation();
+          this.moveTabByKey_(panel, tab, tabpanel, e.keyCode);
+          return;
+        }
+
         let nextTab = null;
         let keyCode = e.keyCode;
 
+        const panels = accordionPanels(this.element_);
+
         if (keyCode === VK_HOME) {
-          nextTab = this.element_.querySelector(`.${PANEL}:first-child > .${TAB}`);
+          nextTab = childElement(panels[0], TAB);
           if(nextTab && nextTab.hasAttribute('disabled')) {
             nextTab = null;
             keyCode = VK_ARROW_DOWN;
           }
         }
         else if (keyCode === VK_END) {
-          nextTab = this.element_.querySelector(`.${PANEL}:last-child > .${TAB}`);
+          nextTab = childElement(panels[panels.length-1], TAB);
           if(nextTab && nextTab.hasAttribute('disabled')) {
             nextTab = null;
             keyCode = VK_ARROW_UP;
@@ -333,22 +1262,12 @@ import {
 
           do {
             if (keyCode === VK_ARROW_UP || keyCode === VK_ARROW_LEFT) {
-              nextPanel = nextPanel.previousElementSibling;
-              if(!nextPanel) {
-                nextPanel = this.element_.querySelector(`.${PANEL}:last-child`);
-              }
-              if (nextPanel) {
-                nextTab = nextPanel.querySelector(`.${PANEL} > .${TAB}`);
-              }
+              nextPanel = panels[(panels.indexOf(nextPanel) + panels.length - 1) % panels.length];
+              nextTab = childElement(nextPanel, TAB);
             }
             else if (keyCode === VK_ARROW_DOWN || keyCode === VK_ARROW_RIGHT) {
-              nextPanel = nextPanel.nextElementSibling;
-              if(!nextPanel) {
-                nextPanel = this.element_.querySelector(`.${PANEL}:first-child`);
-              }
-              if (nextPanel) {
-                nextTab = nextPanel.querySelector(`.${PANEL} > .${TAB}`);
-              }
+              nextPanel = panels[(panels.indexOf(nextPanel) + 1) % panels.length];
+              nextTab = childElement(nextPanel, TAB);
             }
 
             if(nextTab && nextTab.hasAttribute('disabled')) {
@@ -368,13 +1287,7 @@ import {
 
           // Workaround for JSDom testing:
           // In JsDom 'element.focus()' does not trigger any focus event
-          if(!nextTab.hasAttribute(ARIA_SELECTED)) {
-
-            [...this.element_.querySelectorAll(`.${TAB}[aria-selected="true"]`)]
-              .forEach( selectedTab => selectedTab.removeAttribute(ARIA_SELECTED) );
-
-            nextTab.setAttribute(ARIA_SELECTED, 'true');
-          }
+          this.selectTab_(nextTab);
         }
       }
       else if (e.keyCode === VK_ENTER || e.keyCode === VK_SPACE) {
@@ -396,6 +1309,8 @@ import {
     tab.setAttribute('role', TAB_ROLE);
     tabpanel.setAttribute('role', TABPANEL_ROLE);
 
+    this.cancelTransition_(tabpanel);
+
     if(tab.hasAttribute('disabled')) {
       disableTab();
     }
@@ -404,7 +1319,7 @@ import {
     }
 
     if( this.element_.classList.contains(ACCORDION_HORIZONTAL)) {
-      calcMaxTabCaptionWidth();
+      calcMaxTabCaptionWidth(tab);
     }
 
     if (this.element_.classList.contains(RIPPLE_EFFECT)) {
@@ -412,24 +1327,114 @@ import {
     }
 
     if (this.element_.classList.contains(ANIMATION_EFFECT)) {
+      panel.classList.add(PANEL_ANIMATION);
       tabpanel.classList.add(ANIMATION);
     }
 
-    // Remove listeners, just in case ...
-    tab.removeEventListener('click', tabClickHandler);
-    tab.removeEventListener('focus', tabFocusHandler);
-    tab.removeEventListener('keydown', tabKeydownHandler);
-    tabpanel.removeEventListener('click', tabpanelClickHandler);
-    tabpanel.removeEventListener('focus', tabpanelFocusHandler);
+    // Remove listeners from a previous upgrade of the tab, the handlers are new closures on every upgrade
+    this.removeTabListeners_(tab);
 
     tab.addEventListener('click', tabClickHandler);
     tab.addEventListener('focus', tabFocusHandler);
     tab.addEventListener('keydown', tabKeydownHandler);
     tabpanel.addEventListener('click', tabpanelClickHandler, true);
     tabpanel.addEventListener('focus', tabpanelFocusHandler, true);
+
+    this.tabListeners_.set(tab, () => {
+      tab.removeEventListener('click', tabClickHandler);
+      tab.removeEventListener('focus', tabFocusHandler);
+      tab.removeEventListener('keydown', tabKeydownHandler);
+      tabpanel.removeEventListener('click', tabpanelClickHandler, true);
+      tabpanel.removeEventListener('focus', tabpanelFocusHandler, true);
+    });
   };
   MaterialExtAccordion.prototype['upgradeTab'] = MaterialExtAccordion.prototype.upgradeTab;
 
+  /**
+   * Register a loader for the content of a tabpanel. The loader runs the first time the tab opens,
+   * or immediately if the tab is open
+   * @public
+   * @param {Element} tabElement The accordion panel, or tab.
+   * @param {Function} loader Called with the tabpanel element. Returns a HTML string, an element,
+   * or a Promise resolving to one of them. Return nothing if the loader inserts the content itself.
+   */
+  MaterialExtAccordion.prototype.registerLoader = function( tabElement, loader ) {
+    const { tab, tabpanel } = accordionPanelElements( tabElement );
+    if(!tabpanel) {
+      throw new Error('There must be a tabpanel element for each accordion panel.');
+    }
+    this.loaders_.set(tabpanel, loader);
+
+    if(tab.getAttribute(ARIA_EXPANDED) === 'true') {
+      this.loadTabpanel_(tab, tabpanel);
+    }
+  };
+  MaterialExtAccordion.prototype['registerLoader'] = MaterialExtAccordion.prototype.registerLoader;
+
+  /**
+   * Render the panels of the accordion from a model. Panels are matched to the model by the id of the tab.
+   * Existing panels are updated and keep their open state, panels that are not in the model are removed,
+   * and new panels are created. The panels are ordered as the model
+   * @public
+   * @param {Array<Object>} model Panels, {id, caption, icon, content|loader, disabled, expanded}
+   */
+  MaterialExtAccordion.prototype.setPanels = function( model ) {
+    if(!Array.isArray(model)) {
+      throw new Error('Model must be an array of panels.');
+    }
+    if(model.some( item => !item || !item.id )) {
+      throw new Error('Each panel in the model must have an id.');
+    }
+
+    const ids = model.map( item => String(item.id) );
+    const existing = new Map();
+    accordionPanels(this.element_).forEach( panel => {
+      const tab = childElement(panel, TAB);
+      if(tab && tab.id && ids.indexOf(tab.id) >= 0) {
+        existing.set(tab.id, panel);
+      }
+      else {
+        this.removePanel_(panel);
+      }
+    });
+
+    model.forEach( (item, i) => {
+      const panel = existing.get(String(item.id)) || this.createPanel_(item);
+      const { tab, tabpanel } = accordionPanelElements(panel);
+      const previous = this.models_.get(panel) || {};
+
+      // Move misplaced panels only, moving an element removes focus from it
+      const current = accordionPanels(this.element_)[i];
+      if(current !== panel) {
+        this.element_.insertBefore(panel, current || null);
+      }
+
+      renderTab(tab, item);
+
+      if(item.disabled) {
+        tab.setAttribute('disabled', '');
+      }
+      else {
+        tab.removeAttribute('disabled');
+      }
+
+      if(item.content !== undefined && item.content !== previous.content) {
+        setTabpanelContent(tabpanel, item.content);
+        componentHandler.upgradeElements(tabpanel);
+      }
+
+      this.upgradeTab(panel);
+
+      if(item.loader && item.loader !== previous.loader) {
+        this.registerLoader(panel, item.loader);
+      }
+      this.models_.set(panel, item);
+    });
+
+    this.saveState_();
+  };
+  MaterialExtAccordion.prototype['setPanels'] = MaterialExtAccordion.prototype.setPanels;
+
 
   /**
    * Execute command
@@ -503,8 +1508,22 @@ import {
   MaterialExtAccordion.prototype.init = function() {
     if (this.element_) {
       // Do the init required for this component to work
-      if( !(this.element_.classList.contains(ACCORDION_HORIZONTAL) || this.element_.classList.contains(ACCORDION_VERTICAL))) {
-        throw new Error(`Accordion must have one of the classes "${ACCORDION_HORIZONTAL}" or "${ACCORDION_VERTICAL}"`);
+      this.baseLayout_ = this.getLayout_();
+      if(!this.baseLayout_) {
+        throw new Error(`Accordion must have one of the classes "${ACCORDION_HORIZONTAL}", "${ACCORDION_VERTICAL}" or "${ACCORDION_TABS}"`);
+      }
+
+      if(this.element_.hasAttribute('data-config')) {
+        this.config_ = jsonStringToObject(this.element_.getAttribute('data-config'), this.config_);
+      }
+
+      if(this.config_.breakpoints) {
+        Object.keys(this.config_.breakpoints).forEach( minWidth => {
+          const layout = this.config_.breakpoints[minWidth];
+          if(!LAYOUTS[layout] || isNaN(parseInt(minWidth))) {
+            throw new Error(`Invalid breakpoint "${minWidth}": "${layout}". Layout must be one of "${Object.keys(LAYOUTS).join('", "')}"`);
+          }
+        });
       }
 
       this.element_.setAttribute('role', 'tablist');
@@ -516,7 +1535,45 @@ import {
       this.element_.removeEventListener('command', this.commandHandler_);
       this.element_.addEventListener('command', this.commandHandler_.bind(this), false);
 
-      [...this.element_.querySelectorAll(`.${ACCORDION} > .${PANEL}`)].forEach( panel => this.upgradeTab(panel) );
+      // Restore persisted state before the tabs are upgraded, so that the restored tabs render open
+      this.persistence_ = this.getPersistence_();
+      this.restoreState_();
+
+      accordionPanels(this.element_).forEach( panel => this.upgradeTab(panel) );
+
+      this.element_.setAttribute('aria-orientation', this.baseLayout_ === 'vertical' ? 'vertical' : 'horizontal');
+
+      // An observer from a previous init is replaced, or removed if breakpoints are no longer configured
+      this.removeResizeObserver_();
+      if(this.config_.breakpoints) {
+        // Layout before first paint, the observer handles later changes
+        this.setLayout_(this.getLayoutForWidth_(this.element_.getBoundingClientRect().width));
+        this.addResizeObserver_();
+      }
+
+      // Deep link, open the tab linked by the URL fragment, on load and when the fragment changes
+      this.openFromHash_();
+      if(!this.hashChangeHandler_) {
+        this.hashChangeHandler_ = this.openFromHash_.bind(this);
+      }
+      window.removeEventListener('hashchange', this.hashChangeHandler_);
+      window.addEventListener('hashchange', this.hashChangeHandler_);
+
+      // Listen to drag events, dragging reorders the panels of a sortable accordion
+      if(!this.dragStartHandler_) {
+        this.dragStartHandler_ = this.dragHandler_.bind(this);
+      }
+      this.removeDragListeners_();
+      if(typeof window.PointerEvent !== 'undefined') {
+        this.element_.addEventListener('pointerdown', this.dragStartHandler_, false);
+      }
+      else {
+        this.element_.addEventListener('mousedown', this.dragStartHandler_, false);
+        this.element_.addEventListener('touchstart', this.dragStartHandler_, false);
+      }
+
+      // Listen to 'mdl-componentdowngraded' event
+      this.element_.addEventListener('mdl-componentdowngraded', this.mdlDowngrade_.bind(this));
 
       // Set upgraded flag
       this.element_.classList.add(IS_UPGRADED);
@@ -527,14 +1584,24 @@ import {
   /*
    * Downgrade component
    * E.g remove listeners and clean up resources
-   *
-   * Nothing to downgrade
-   *
-   MaterialExtAccordion.prototype.mdlDowngrade_ = function() {
-     'use strict';
-     console.log('***** MaterialExtAccordion.mdlDowngrade');
-   };
+   * @param {Event} event The 'mdl-componentdowngraded' event
    */
+  MaterialExtAccordion.prototype.mdlDowngrade_ = function( event ) {
+    if(event && event.target !== this.element_) {
+      // The event bubbles from components in the tabpanels, e.g. a nested accordion
+      return;
+    }
+    if(this.hashChangeHandler_) {
+      window.removeEventListener('hashchange', this.hashChangeHandler_);
+    }
+    this.removeResizeObserver_();
+    this.removeDragListeners_();
+    clearTimeout(this.typeAheadTimer_);
+    if(this.liveRegion_ && this.liveRegion_.parentNode) {
+      this.liveRegion_.parentNode.removeChild(this.liveRegion_);
+      this.liveRegion_ = null;
+    }
+  };
 
 
   // The component registers itself. It can assume componentHandler is available
@@ -543,7 +1610,7 @@ import {
   componentHandler.register({
     constructor: MaterialExtAccordion,
     classAsString: 'MaterialExtAccordion',
-    cssClass: 'mdlext-js-accordion',
+    cssClass: JS_ACCORDION,
     widget: true
   });
 })();
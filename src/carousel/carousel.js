@@ -23,8 +23,10 @@
  */
 
 import intervalFunction from '../utils/interval-function';
+import fullThrottle from '../utils/full-throttle';
 import { inOutQuintic } from '../utils/easing';
 import { jsonStringToObject} from '../utils/json-utils';
+import { prefersReducedMotion } from '../utils/dom-utils';
 import {
   VK_TAB,
   VK_ENTER,
@@ -54,9 +56,39 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
 
   //const CAROUSEL = 'mdlext-carousel';
   const SLIDE      = 'mdlext-carousel__slide';
+  const SLIDE_CLONE = 'mdlext-carousel__slide--clone';
+  const SLIDE_LOADING = 'mdlext-carousel__slide--loading';
+  const SLIDE_ACTIVE = 'mdlext-carousel__slide--active';
+  const FADE       = 'mdlext-carousel--fade';
   const ROLE       = 'list';
   const SLIDE_ROLE = 'listitem';
 
+  const CONTROLS          = 'mdlext-carousel__controls';
+  const CONTROL           = 'mdlext-carousel__control';
+  const CONTROL_PREV      = 'mdlext-carousel__control--prev';
+  const CONTROL_NEXT      = 'mdlext-carousel__control--next';
+  const CONTROL_PLAY      = 'mdlext-carousel__control--play';
+  const INDICATORS        = 'mdlext-carousel__indicators';
+  const INDICATOR         = 'mdlext-carousel__indicator';
+
+  // Default aria-labels of the generated controls, override with the 'labels' config
+  const CONTROL_LABELS = {
+    indicators: 'Choose slide',
+    prev      : 'Previous slide',
+    next      : 'Next slide',
+    play      : 'Start slideshow',
+    stop      : 'Stop slideshow',
+    slide     : 'Slide {index} of {count}',
+    page      : 'Page {index} of {count}'
+  };
+
+  const FLICK_VELOCITY          = 0.3;  // px/ms. A faster drag release advances at least one slide or page
+  const MOMENTUM_TIME           = 300;  // ms. How far ahead a flick is projected
+  const VELOCITY_SAMPLE_TIME    = 100;  // ms. Pointer movement used to calculate release velocity
+  const CLICK_DISTANCE          = 2;    // px. A shorter drag is treated as a click
+  const DIRECTION_LOCK_DISTANCE = 8;    // px. Touch and pen movement needed to tell a drag from a page scroll
+  const SWIPE_DISTANCE          = 30;   // px. A shorter drag does not change slide if type is 'fade'
+
 
   /**
    * @constructor
@@ -72,11 +104,40 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
       autostart    : false,
       type         : 'slide',
       interval     : 1000,
+      loop         : 'none',
+      controls     : false,
+      snap         : 'none',
+      orientation  : 'horizontal',
+      preload      : 1,
+      observeSlides: false,
+      fadeDuration : 600,
+      labels       : {},
       animationLoop: intervalFunction(1000)
     };
 
     this.scrollAnimation_ = intervalFunction(33);
 
+    // The slideshow is suspended when the carousel is outside the browser viewport or the page is hidden
+    this.isSuspended_ = false;
+    this.isInViewport_ = true;
+    this.intersectionObserver_ = null;
+    this.visibilityChangeHandler_ = null;
+
+    // Loads lazy images brought into view by a native scroll, or by a window resize
+    this.viewportChangeHandler_ = null;
+
+    // Generated prev/next buttons, indicators and play/pause toggle
+    this.controls_ = null;
+
+    // Upgrades slides added, or removed, by other scripts
+    this.mutationObserver_ = null;
+
+    // The selected slide was removed during a slideshow, and its neighbour is shown on the next tick
+    this.keepSelectedSlide_ = false;
+
+    // Direction of a 'scroll' slideshow, kept while the slideshow is suspended
+    this.scrollDirection_ = 'next';
+
     // Initialize instance.
     this.init();
   };
@@ -86,18 +147,21 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
 
   /**
    * Start slideshow animation
+   * @param resume if true, the slideshow continues from the selected slide without advancing,
+   *   or a 'scroll' slideshow continues in the direction it scrolled before it was suspended
    * @private
    */
-  MaterialExtCarousel.prototype.startSlideShow_ = function() {
+  MaterialExtCarousel.prototype.startSlideShow_ = function(resume = false) {
 
     const nextSlide = () => {
       let slide = this.element_.querySelector(`.${SLIDE}[aria-selected]`);
-      if(slide) {
+      if(slide && !this.keepSelectedSlide_) {
         slide.removeAttribute('aria-selected');
-        slide = slide.nextElementSibling;
+        slide = this.getNextSlide_(slide, this.isLooping_());
       }
+      this.keepSelectedSlide_ = false;
       if(!slide) {
-        slide = this.element_.querySelector(`.${SLIDE}:first-child`);
+        slide = this.getSlides_()[0];
         this.animateScroll_(0);
       }
       if(slide) {
@@ -110,17 +174,26 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
     };
 
     const nextScroll = direction => {
+      if(this.getLoopWidth_() > 0) {
+        // Infinite loop, always move forward
+        this.animateScroll_(this.getScrollPosition_() + this.getViewportSize_(), 1000);
+        return 'next';
+      }
+
       let nextDirection = direction;
+      const position = this.getScrollPosition_();
+      const viewportSize = this.getViewportSize_();
+      const maxPosition = this.getScrollSize_() - viewportSize;
 
-      if('next' === direction &&  this.element_.scrollLeft === this.element_.scrollWidth - this.element_.clientWidth) {
+      if('next' === direction &&  position === maxPosition) {
         nextDirection = 'prev';
       }
-      else if(this.element_.scrollLeft === 0) {
+      else if(position === 0) {
         nextDirection = 'next';
       }
       const x = 'next' === nextDirection
-        ?  Math.min(this.element_.scrollLeft + this.element_.clientWidth, this.element_.scrollWidth - this.element_.clientWidth)
-        :  Math.max(this.element_.scrollLeft - this.element_.clientWidth, 0);
+        ?  Math.min(position + viewportSize, maxPosition)
+        :  Math.max(position - viewportSize, 0);
 
       this.animateScroll_(x, 1000);
       return nextDirection;
@@ -128,34 +201,108 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
 
 
     if(!this.config_.animationLoop.started) {
+      this.isSuspended_ = false;
       this.config_.animationLoop.interval = this.config_.interval;
-      let direction = 'next';
 
       if('scroll' === this.config_.type) {
+        if(!resume) {
+          this.scrollDirection_ = 'next';
+        }
         this.config_.animationLoop.start( () => {
-          direction = nextScroll(direction);
+          this.scrollDirection_ = nextScroll(this.scrollDirection_);
           return true; // It runs until cancelSlideShow_ is triggered
         });
       }
       else {
-        nextSlide();
+        if(!resume) {
+          nextSlide();
+        }
         this.config_.animationLoop.start( () => {
           return nextSlide(); // It runs until cancelSlideShow_ is triggered
         });
       }
     }
 
-    // TODO: Pause animation when carousel is not in browser viewport or user changes tab
+    if(!this.isVisible_()) {
+      this.suspendSlideShow_();
+    }
+    this.updateControls_();
   };
 
   /**
-   * Cancel slideshow if running. Emmits a 'pause' event
+   * Cancel slideshow if running or suspended. Emmits a 'pause' event
    * @private
    */
   MaterialExtCarousel.prototype.cancelSlideShow_ = function() {
-    if(this.config_.animationLoop.started) {
+    this.keepSelectedSlide_ = false;
+    if(this.config_.animationLoop.started || this.isSuspended_) {
+      this.isSuspended_ = false;
       this.config_.animationLoop.stop();
       this.emitSelectEvent_('pause', VK_ESC, this.element_.querySelector(`.${SLIDE}[aria-selected]`));
+      this.updateControls_();
+    }
+  };
+
+  /**
+   * Suspend slideshow if running. Emmits a 'suspend' event
+   * @private
+   */
+  MaterialExtCarousel.prototype.suspendSlideShow_ = function() {
+    if(this.config_.animationLoop.started) {
+      this.config_.animationLoop.stop();
+      this.isSuspended_ = true;
+      this.emitSelectEvent_('suspend', null, this.element_.querySelector(`.${SLIDE}[aria-selected]`));
+    }
+  };
+
+  /**
+   * Resume a suspended slideshow. Emmits a 'resume' event
+   * @private
+   */
+  MaterialExtCarousel.prototype.resumeSlideShow_ = function() {
+    if(this.isSuspended_) {
+      this.startSlideShow_(true);
+      this.emitSelectEvent_('resume', null, this.element_.querySelector(`.${SLIDE}[aria-selected]`));
+    }
+  };
+
+  /**
+   * Check whether the carousel is visible, e.g. inside the browser viewport and the page is not hidden
+   * @return {boolean}
+   * @private
+   */
+  MaterialExtCarousel.prototype.isVisible_ = function() {
+    return this.isInViewport_ && !document.hidden;
+  };
+
+  /**
+   * Suspend or resume slideshow when carousel visibility changes
+   * @private
+   */
+  MaterialExtCarousel.prototype.visibilityChanged_ = function() {
+    if(this.isVisible_()) {
+      this.resumeSlideShow_();
+    }
+    else {
+      this.suspendSlideShow_();
+    }
+  };
+
+  /**
+   * Observe page visibility and carousel intersection with the browser viewport
+   * @private
+   */
+  MaterialExtCarousel.prototype.addVisibilityObservers_ = function() {
+    this.visibilityChangeHandler_ = () => this.visibilityChanged_();
+    document.addEventListener('visibilitychange', this.visibilityChangeHandler_);
+
+    if(typeof window.IntersectionObserver !== 'undefined') {
+      this.intersectionObserver_ = new window.IntersectionObserver( entries => {
+        const entry = entries[entries.length-1];
+        this.isInViewport_ = entry.isIntersecting || entry.intersectionRatio > 0;
+        this.visibilityChanged_();
+      });
+      this.intersectionObserver_.observe(this.element_);
     }
   };
 
@@ -168,7 +315,7 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
    */
   MaterialExtCarousel.prototype.animateScroll_ = function( newPosition, newDuration, completedCallback ) {
 
-    const start = this.element_.scrollLeft;
+    const start = this.getScrollPosition_();
     const distance = newPosition - start;
 
     if(distance !== 0) {
@@ -178,11 +325,14 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
       this.scrollAnimation_.start( timeElapsed => {
         t += timeElapsed;
         if(t < duration) {
-          this.element_.scrollLeft = inOutQuintic(t, start, distance, duration);
+          this.setScrollPosition_(inOutQuintic(t, start, distance, duration));
           return true;
         }
         else {
-          this.element_.scrollLeft = newPosition;
+          this.setScrollPosition_(newPosition);
+          this.normalizeLoopPosition_();
+          this.loadSlidesInViewport_();
+          this.updateControls_();
           if(completedCallback) {
             completedCallback();
           }
@@ -206,44 +356,58 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
     let x = 0;
     let slide = null;
     const a = event.detail.action.toLowerCase();
+    const loopWidth = this.getLoopWidth_();
 
     // Cancel slideshow if running
     this.cancelSlideShow_();
 
+    if(this.isFading_() && ('scroll-prev' === a || 'scroll-next' === a)) {
+      // Stacked slides, there is nothing to scroll
+      if('scroll-next' === a) {
+        this.next();
+      }
+      else {
+        this.prev();
+      }
+      return;
+    }
+
     switch (a) {
       case 'first':
-        slide = this.element_.querySelector(`.${SLIDE}:first-child`);
+        slide = this.getSlides_()[0];
         break;
 
       case 'last':
-        x = this.element_.scrollWidth - this.element_.clientWidth;
-        slide = this.element_.querySelector(`.${SLIDE}:last-child`);
+        x = (loopWidth > 0 ? loopWidth : this.getScrollSize_()) - this.getViewportSize_();
+        slide = this.getSlides_().pop();
         break;
 
       case 'scroll-prev':
-        x = Math.max(this.element_.scrollLeft - this.element_.clientWidth, 0);
+        if(loopWidth > 0 && this.getScrollPosition_() < this.getViewportSize_()) {
+          // Infinite loop, continue from the clones of the visible slides
+          this.setScrollPosition_(this.getScrollPosition_() + loopWidth);
+        }
+        x = Math.max(this.getScrollPosition_() - this.getViewportSize_(), 0);
         break;
 
       case 'scroll-next':
-        x = Math.min(this.element_.scrollLeft + this.element_.clientWidth, this.element_.scrollWidth - this.element_.clientWidth);
+        x = Math.min(this.getScrollPosition_() + this.getViewportSize_(), this.getScrollSize_() - this.getViewportSize_());
         break;
 
       case 'next':
+        this.next();
+        return;
+
       case 'prev':
-        slide = this.element_.querySelector(`.${SLIDE}[aria-selected]`);
-        if(slide) {
-          slide = a === 'next' ? slide.nextElementSibling : slide.previousElementSibling;
-          this.setAriaSelected_(slide);
-          this.emitSelectEvent_(a, null,  slide);
-        }
+        this.prev();
         return;
 
       case 'play':
-        Object.assign(this.config_, event.detail);
-        this.startSlideShow_();
+        this.play(event.detail);
         return;
 
       case 'pause':
+        this.pause();
         return;
 
       default:
@@ -312,6 +476,11 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
         || event.keyCode === VK_ARROW_UP   || event.keyCode === VK_ARROW_LEFT
         || event.keyCode === VK_ARROW_DOWN || event.keyCode === VK_ARROW_RIGHT) {
 
+        if(this.isVertical_() && (event.keyCode === VK_ARROW_LEFT || event.keyCode === VK_ARROW_RIGHT)) {
+          // A vertical carousel navigates with the up and down arrows, left and right are left to the page
+          return;
+        }
+
         let slide = getSlide_(event.target);
 
         if(!slide) {
@@ -325,23 +494,24 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
           case VK_ARROW_UP:
           case VK_ARROW_LEFT:
             action = 'prev';
-            slide = slide.previousElementSibling;
+            slide = this.getPrevSlide_(slide, this.isLooping_());
             break;
 
           case VK_ARROW_DOWN:
           case VK_ARROW_RIGHT:
             action = 'next';
-            slide = slide.nextElementSibling;
+            slide = this.getNextSlide_(slide, this.isLooping_());
             break;
 
           case VK_TAB:
+            // Tab never wraps, focus moves out of the carousel after the last slide
             if (event.shiftKey) {
               action = 'prev';
-              slide = slide.previousElementSibling;
+              slide = this.getPrevSlide_(slide, false);
             }
             else {
               action = 'next';
-              slide = slide.nextElementSibling;
+              slide = this.getNextSlide_(slide, false);
             }
             break;
 
@@ -353,7 +523,7 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
 
         if(slide) {
           event.preventDefault();
-          setFocus_(slide);
+          setFocus_(slide, this.isLooping_());
           this.emitSelectEvent_(action, event.keyCode, slide);
         }
       }
@@ -361,12 +531,25 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
   };
 
   /**
-   * Handle dragging
-   * @param event
+   * Handle dragging. Uses Pointer Events, with pointer capture, if supported by the browser,
+   * otherwise mouse and touch events
+   * @param event a 'pointerdown', 'mousedown' or 'touchstart' event
    * @private
    */
   MaterialExtCarousel.prototype.dragHandler_ = function(event) {
-    event.preventDefault();
+    const isPointer = event.type === 'pointerdown';
+    const isTouch = event.type === 'touchstart' || (isPointer && event.pointerType !== 'mouse');
+
+    if(isPointer && (event.isPrimary === false || (event.pointerType === 'mouse' && event.button > 0))) {
+      // Only the primary pointer, and the main mouse button, drags the carousel
+      return;
+    }
+
+    if(!isTouch) {
+      // Prevent text selection and native image drag. Touch must wait until the direction is locked,
+      // so that the browser can scroll the page vertically
+      event.preventDefault();
+    }
 
     // Cancel slideshow if running
     this.cancelSlideShow_();
@@ -374,29 +557,106 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
     let updating = false;
     let rAFDragId = 0;
 
-    const startX = event.clientX || (event.touches !== undefined ? event.touches[0].clientX : 0);
-    let prevX = startX;
+    const pointerId = event.pointerId;
+    const vertical = this.isVertical_();
+
+    // Pointer position along, and across, the slide strip
+    const pointerPosition = e => {
+      const { x, y } = clientXY_(e);
+      return vertical ? { along: y, across: x } : { along: x, across: y };
+    };
+
+    const start = pointerPosition(event);
+    let prevX = start.along;
     const targetElement = event.target;
 
+    // A mouse drag always follows the slide strip. Touch and pen is locked to the slide strip, or abandoned
+    // in favour of a page scroll across the strip, when moved beyond DIRECTION_LOCK_DISTANCE.
+    // If 'touch-action' is 'none', the browser does not scroll, and the drag is locked immediately
+    let locked = !isTouch || window.getComputedStyle(this.element_).touchAction === 'none';
+
+    // Pointer positions, used to calculate velocity on release
+    let samples = [{ x: start.along, t: Date.now() }];
+
     const update = e => {
-      const currentX = (e.clientX || (e.touches !== undefined ? e.touches[0].clientX : 0));
+      const currentX = pointerPosition(e).along;
       const dx = prevX - currentX;
+      const loopWidth = this.getLoopWidth_();
 
-      if(dx < 0) {
-        this.element_.scrollLeft = Math.max(this.element_.scrollLeft + dx, 0);
+      if(loopWidth > 0) {
+        // Infinite loop, the clones are identical to the slides, so the strip can wrap at any time
+        let x = this.getScrollPosition_() + dx;
+        if(x < 0) {
+          x += loopWidth;
+        }
+        else if(x >= loopWidth) {
+          x -= loopWidth;
+        }
+        this.setScrollPosition_(x);
+      }
+      else if(dx < 0) {
+        this.setScrollPosition_(Math.max(this.getScrollPosition_() + dx, 0));
       }
       else if(dx > 0) {
-        this.element_.scrollLeft = Math.min(this.element_.scrollLeft + dx, this.element_.scrollWidth - this.element_.clientWidth);
+        this.setScrollPosition_(Math.min(this.getScrollPosition_() + dx, this.getScrollSize_() - this.getViewportSize_()));
       }
 
       prevX = currentX;
       updating = false;
+      this.loadSlidesInViewport_();
+    };
+
+    const removeDragListeners = () => {
+      if(isPointer) {
+        this.element_.removeEventListener('pointermove', drag);
+        this.element_.removeEventListener('pointerup', endDrag);
+        this.element_.removeEventListener('pointercancel', cancelDrag);
+        if(this.element_.releasePointerCapture && this.element_.hasPointerCapture &&
+          this.element_.hasPointerCapture(pointerId)) {
+          this.element_.releasePointerCapture(pointerId);
+        }
+      }
+      else {
+        this.element_.removeEventListener('mousemove', drag);
+        this.element_.removeEventListener('touchmove', drag);
+        window.removeEventListener('mouseup', endDrag);
+        window.removeEventListener('touchend', endDrag);
+        window.removeEventListener('touchcancel', cancelDrag);
+      }
+
+      // cancel any existing drag rAF, see: http://www.html5rocks.com/en/tutorials/speed/animations/
+      window.cancelAnimationFrame(rAFDragId);
     };
 
     // drag handler
     const drag = e => {
+      if(isPointer && e.pointerId !== pointerId) {
+        return;
+      }
+
+      const { along, across } = pointerPosition(e);
+
+      if(!locked) {
+        const absDx = Math.abs(along - start.along);
+        const absDy = Math.abs(across - start.across);
+
+        if(absDx < DIRECTION_LOCK_DISTANCE && absDy < DIRECTION_LOCK_DISTANCE) {
+          return;
+        }
+        if(absDy > absDx) {
+          // Movement across the slide strip, leave it to the browser
+          removeDragListeners();
+          return;
+        }
+        locked = true;
+      }
+
       e.preventDefault();
 
+      const now = Date.now();
+      samples = samples.filter( sample => now - sample.t <= VELOCITY_SAMPLE_TIME );
+      samples.push({ x: along, t: now });
+
       if(!updating) {
         rAFDragId = window.requestAnimationFrame( () => update(e));
         updating = true;
@@ -405,25 +665,124 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
 
     // end drag handler
     const endDrag = e => {
+      if(isPointer && e.pointerId !== pointerId) {
+        return;
+      }
       e.preventDefault();
+      removeDragListeners();
+
+      const last = samples[samples.length - 1];
+      if(this.isFading_() && Math.abs(last.x - start.along) >= SWIPE_DISTANCE) {
+        // Stacked slides, swipe to the next or previous slide
+        if(last.x < start.along) {
+          this.next();
+        }
+        else {
+          this.prev();
+        }
+        return;
+      }
 
-      this.element_.removeEventListener('mousemove', drag);
-      this.element_.removeEventListener('touchmove', drag);
-      window.removeEventListener('mouseup', endDrag);
-      window.removeEventListener('touchend', endDrag);
+      if(this.config_.snap !== 'none' && Math.abs(last.x - start.along) >= CLICK_DISTANCE) {
+        // Scroll velocity is opposite to pointer velocity
+        const now = Date.now();
+        const recent = samples.filter( sample => now - sample.t <= VELOCITY_SAMPLE_TIME );
+        const dt = recent.length > 1 ? recent[recent.length - 1].t - recent[0].t : 0;
+        const velocity = dt > 0 ? (recent[0].x - recent[recent.length - 1].x) / dt : 0;
 
-      // cancel any existing drag rAF, see: http://www.html5rocks.com/en/tutorials/speed/animations/
-      window.cancelAnimationFrame(rAFDragId);
+        this.snapToPosition_(velocity);
+        return;
+      }
 
-      const slide = getSlide_(targetElement);
-      setFocus_(slide);
+      const slide = this.getOriginalSlide_(getSlide_(targetElement));
+      setFocus_(slide, this.isLooping_());
       this.emitSelectEvent_('click', null,  slide);
     };
 
-    this.element_.addEventListener('mousemove', drag);
-    this.element_.addEventListener('touchmove', drag);
-    window.addEventListener('mouseup', endDrag);
-    window.addEventListener('touchend',endDrag);
+    // The browser took over the gesture, e.g. a page scroll permitted by 'touch-action'
+    const cancelDrag = e => {
+      if(isPointer && e.pointerId !== pointerId) {
+        return;
+      }
+      removeDragListeners();
+
+      if(locked && this.config_.snap !== 'none') {
+        this.snapToPosition_(0);
+      }
+    };
+
+    if(isPointer) {
+      // Pointer capture, the carousel receives pointer events even if the pointer leaves the element
+      if(this.element_.setPointerCapture) {
+        this.element_.setPointerCapture(pointerId);
+      }
+      this.element_.addEventListener('pointermove', drag);
+      this.element_.addEventListener('pointerup', endDrag);
+      this.element_.addEventListener('pointercancel', cancelDrag);
+    }
+    else {
+      this.element_.addEventListener('mousemove', drag);
+      this.element_.addEventListener('touchmove', drag);
+      window.addEventListener('mouseup', endDrag);
+      window.addEventListener('touchend', endDrag);
+      window.addEventListener('touchcancel', cancelDrag);
+    }
+  };
+
+  /**
+   * Get the scroll positions the strip can settle on after a drag, e.g. the left edge of each slide,
+   * or each viewport "page"
+   * @return {Array<number>} sorted scroll positions
+   * @private
+   */
+  MaterialExtCarousel.prototype.getSnapPoints_ = function() {
+    const position = this.getScrollPosition_() || 0;
+    const viewportSize = this.getViewportSize_() || 0;
+    const maxScroll = Math.max((this.getScrollSize_() || 0) - viewportSize, 0);
+    const points = [];
+
+    if('page' === this.config_.snap) {
+      const stripWidth = this.getStripWidth_() || 0;
+      const pageEnd = this.getLoopWidth_() > 0 ? maxScroll : Math.max(stripWidth - viewportSize, 0);
+      for(let x = 0; viewportSize > 0 && x < pageEnd; x += viewportSize) {
+        points.push(x);
+      }
+      points.push(pageEnd);
+    }
+    else {
+      // Clones are included, an infinite loop can settle on a clone and wrap when the animation completes
+      const carouselStart = this.getRectStart_(this.element_.getBoundingClientRect());
+      [...this.element_.querySelectorAll(`.${SLIDE}`)].forEach( slide => {
+        const x = position + this.getRectStart_(slide.getBoundingClientRect()) - carouselStart;
+        points.push(Math.min(Math.max(x, 0), maxScroll));
+      });
+    }
+    return [...new Set(points)].sort( (a, b) => a - b );
+  };
+
+  /**
+   * Settle on the nearest slide boundary, or page, after a drag. A flick advances
+   * by one or more slides, depending on the release velocity
+   * @param velocity scroll velocity in px/ms, a positive value scrolls forward
+   * @private
+   */
+  MaterialExtCarousel.prototype.snapToPosition_ = function(velocity) {
+    const points = this.getSnapPoints_();
+    if(points.length === 0) {
+      return;
+    }
+
+    const position = this.getScrollPosition_() || 0;
+    const nearest = (candidates, x) => candidates.reduce( (a, b) => Math.abs(b - x) < Math.abs(a - x) ? b : a );
+    let target = nearest(points, position);
+
+    if(Math.abs(velocity) >= FLICK_VELOCITY) {
+      const ahead = points.filter( p => velocity > 0 ? p > position : p < position );
+      if(ahead.length > 0) {
+        target = nearest(ahead, position + velocity * MOMENTUM_TIME);
+      }
+    }
+    this.animateScroll_(target);
   };
 
   /**
@@ -484,6 +843,7 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
         }
       });
       this.element_.dispatchEvent(evt);
+      this.updateControls_();
     }
   };
 
@@ -494,9 +854,10 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
   MaterialExtCarousel.prototype.getSlidesInViewport_ = function() {
     const carouselRect = this.element_.getBoundingClientRect();
 
-    const slidesInViewport = [...this.element_.querySelectorAll(`.${SLIDE}`)].filter( slide => {
+    const slidesInViewport = this.getSlides_().filter( slide => {
       const slideRect = slide.getBoundingClientRect();
-      return slideRect.left >= carouselRect.left && slideRect.right <= carouselRect.right;
+      return this.getRectStart_(slideRect) >= this.getRectStart_(carouselRect)
+        && this.getRectEnd_(slideRect) <= this.getRectEnd_(carouselRect);
     });
     return slidesInViewport;
   };
@@ -507,147 +868,1197 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
    * @private
    */
   MaterialExtCarousel.prototype.moveSlideIntoViewport_ = function(slide) {
+    if(this.isFading_()) {
+      this.showSlide_(slide);
+      return;
+    }
+
     const carouselRect = this.element_.getBoundingClientRect();
     const slideRect = slide.getBoundingClientRect();
+    const carouselStart = this.getRectStart_(carouselRect);
+    const carouselEnd = this.getRectEnd_(carouselRect);
+    const slideStart = this.getRectStart_(slideRect);
+    const slideEnd = this.getRectEnd_(slideRect);
+    const loopWidth = this.getLoopWidth_();
+
+    // Scroll distance needed to move the slide, displaced by offset, into the viewport
+    const distanceTo = offset => {
+      if(slideStart + offset < carouselStart) {
+        return slideStart + offset - carouselStart;
+      }
+      else if(slideEnd + offset > carouselEnd) {
+        return slideEnd + offset - carouselEnd;
+      }
+      return 0;
+    };
+
+    let distance = distanceTo(0);
+    let offset = 0;
+
+    if(loopWidth > 0) {
+      // Infinite loop. Take the shortest way, either to the clone of the slide, or,
+      // if the viewport only shows slides, backwards from the clones of the visible slides
+      const offsets = this.getScrollPosition_() + this.getViewportSize_() <= loopWidth
+        ? [loopWidth, -loopWidth]
+        : [loopWidth];
+
+      offsets.forEach( o => {
+        const d = distanceTo(o);
+        if(Math.abs(d) < Math.abs(distance)) {
+          distance = d;
+          offset = o;
+        }
+      });
+    }
 
-    if(slideRect.left < carouselRect.left) {
-      const x = this.element_.scrollLeft - (carouselRect.left - slideRect.left);
-      this.animateScroll_(x);
+    if(offset < 0) {
+      this.setScrollPosition_(this.getScrollPosition_() + loopWidth);
     }
-    else if(slideRect.right > carouselRect.right) {
-      const x = this.element_.scrollLeft - (carouselRect.right - slideRect.right);
-      this.animateScroll_(x);
+    if(distance !== 0) {
+      this.animateScroll_(this.getScrollPosition_() + distance);
     }
   };
 
+  /**
+   * Check whether the carousel loops infinitely
+   * @return {boolean}
+   * @private
+   */
+  MaterialExtCarousel.prototype.isLooping_ = function() {
+    return this.config_.loop === 'infinite';
+  };
 
   /**
-   * Removes 'aria-selected' from all slides in carousel
+   * Get the width, or height if vertical, of one full sequence of slides, e.g. the distance from a slide to its clone.
+   * @return {number} the loop width, or 0 if the carousel does not loop
    * @private
    */
-  MaterialExtCarousel.prototype.setAriaSelected_ = function(slide) {
-    if(slide) {
-      [...this.element_.querySelectorAll(`.${SLIDE}[aria-selected]`)].forEach(
-        slide => slide.removeAttribute('aria-selected')
-      );
-      slide.setAttribute('aria-selected', '');
+  MaterialExtCarousel.prototype.getLoopWidth_ = function() {
+    if(this.isLooping_()) {
+      const slide = this.getSlides_()[0];
+      const clone = this.element_.querySelector(`.${SLIDE_CLONE}`);
+      if(slide && clone) {
+        return Math.max(this.getRectStart_(clone.getBoundingClientRect()) - this.getRectStart_(slide.getBoundingClientRect()), 0);
+      }
     }
+    return 0;
   };
 
   /**
-   * Removes event listeners
+   * Move the viewport from the clones back to the slides. The clones are identical to the slides,
+   * so the jump is not visible
    * @private
    */
-  MaterialExtCarousel.prototype.removeListeners_ = function() {
-    this.element_.removeEventListener('focus', this.focusHandler_);
-    this.element_.removeEventListener('blur', this.blurHandler_);
-    this.element_.removeEventListener('keydown', this.keyDownHandler_);
-    this.element_.removeEventListener('mousedown', this.dragHandler_);
-    this.element_.removeEventListener('touchstart', this.dragHandler_);
-    this.element_.removeEventListener('click', this.clickHandler_, false);
-    this.element_.removeEventListener('command', this.commandHandler_);
-    this.element_.removeEventListener('mdl-componentdowngraded', this.mdlDowngrade_);
+  MaterialExtCarousel.prototype.normalizeLoopPosition_ = function() {
+    const loopWidth = this.getLoopWidth_();
+    if(loopWidth > 0 && this.getScrollPosition_() >= loopWidth) {
+      this.setScrollPosition_(this.getScrollPosition_() - loopWidth);
+    }
   };
 
-
-  // Helpers
-  const getSlide_ = element => {
-    return element.closest(`.${SLIDE}`);
+  /**
+   * Get the slides in carousel, clones not included
+   * @return {Array<HTMLElement>}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getSlides_ = function() {
+    return [...this.element_.querySelectorAll(`.${SLIDE}:not(.${SLIDE_CLONE})`)];
   };
 
-  const setFocus_ = slide => {
-    if(slide) {
-      slide.focus();
+  /**
+   * Get the slide following the given slide
+   * @param slide
+   * @param wrap if true, the first slide follows the last slide
+   * @return {HTMLElement|null}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getNextSlide_ = function(slide, wrap) {
+    const slides = this.getSlides_();
+    const i = slides.indexOf(slide);
+    if(i > -1 && i < slides.length - 1) {
+      return slides[i + 1];
     }
+    return wrap ? slides[0] || null : null;
   };
 
-  const addRipple_ = slide => {
-    if(!slide.querySelector(`.${MDL_RIPPLE_CONTAINER}`)) {
-      const rippleContainer = document.createElement('span');
-      rippleContainer.classList.add(MDL_RIPPLE_CONTAINER);
-      rippleContainer.classList.add(MDL_RIPPLE_EFFECT);
-      const ripple = document.createElement('span');
-      ripple.classList.add(MDL_RIPPLE);
-      rippleContainer.appendChild(ripple);
-
-      const img = slide.querySelector('img');
-      if (img) {
-        // rippleContainer blocks image title
-        rippleContainer.title = img.title;
-      }
-      slide.appendChild(rippleContainer);
-      componentHandler.upgradeElement(rippleContainer, MDL_RIPPLE_COMPONENT);
+  /**
+   * Get the slide preceding the given slide
+   * @param slide
+   * @param wrap if true, the last slide precedes the first slide
+   * @return {HTMLElement|null}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getPrevSlide_ = function(slide, wrap) {
+    const slides = this.getSlides_();
+    const i = slides.indexOf(slide);
+    if(i > 0) {
+      return slides[i - 1];
     }
+    return wrap ? slides[slides.length - 1] || null : null;
   };
-  // End helpers
-
-
-  // Public methods.
 
   /**
-   * Cancel animation - if running.
-   *
-   * @public
+   * Get the slide a clone was made from. Clones are never exposed in 'select' events.
+   * @param slide a slide or a clone
+   * @return {HTMLElement|null}
+   * @private
    */
-  MaterialExtCarousel.prototype.stopAnimation = function() {
-    this.config_.animationLoop.stop();
+  MaterialExtCarousel.prototype.getOriginalSlide_ = function(slide) {
+    if(slide && slide.classList.contains(SLIDE_CLONE)) {
+      const clones = [...this.element_.querySelectorAll(`.${SLIDE_CLONE}`)];
+      return this.getSlides_()[clones.indexOf(slide)] || null;
+    }
+    return slide;
   };
-  MaterialExtCarousel.prototype['stopAnimation'] = MaterialExtCarousel.prototype.stopAnimation;
-
 
   /**
-   * Upgrade slides
-   * Use if more list elements are added later (dynamically)
-   *
-   * @public
+   * Append a clone of every slide, making room for seamless wrapping in an infinite loop
+   * @private
    */
-  MaterialExtCarousel.prototype.upgradeSlides = function() {
-
+  MaterialExtCarousel.prototype.appendClones_ = function() {
     const hasRippleEffect = this.element_.classList.contains(MDL_RIPPLE_EFFECT);
 
-    [...this.element_.querySelectorAll(`.${SLIDE}`)].forEach( slide => {
+    this.getSlides_().forEach( slide => {
+      const clone = slide.cloneNode(true);
+      clone.classList.add(SLIDE_CLONE);
+      clone.classList.remove(IS_FOCUSED);
+
+      // Clones are decorative, hide them from assistive technology
+      clone.setAttribute('aria-hidden', 'true');
+      ['role', 'tabindex', 'aria-selected', 'id'].forEach( attr => clone.removeAttribute(attr) );
+      [...clone.querySelectorAll('[id]')].forEach( el => el.removeAttribute('id') );
+      [...clone.querySelectorAll('a, button, input, select, textarea, [tabindex]')].forEach(
+        el => el.setAttribute('tabindex', '-1')
+      );
 
-      slide.setAttribute('role', SLIDE_ROLE);
+      // The ripple must be upgraded on the clone
+      [...clone.querySelectorAll(`.${MDL_RIPPLE_CONTAINER}`)].forEach( el => el.parentNode.removeChild(el) );
+      this.element_.appendChild(clone);
 
-      if(this.config_.interactive) {
-        if(!slide.getAttribute('tabindex')) {
-          slide.setAttribute('tabindex', '0');
-        }
-        if (hasRippleEffect) {
-          addRipple_(slide);
-        }
-      }
-      else {
-        slide.setAttribute('tabindex', '-1');
+      if(this.config_.interactive && hasRippleEffect) {
+        addRipple_(clone);
       }
     });
   };
-  MaterialExtCarousel.prototype['upgradeSlides'] = MaterialExtCarousel.prototype.upgradeSlides;
-
 
   /**
-   * Get config object
-   *
-   * @public
+   * Remove clones
+   * @private
    */
-  MaterialExtCarousel.prototype.getConfig = function() {
-    return this.config_;
+  MaterialExtCarousel.prototype.removeClones_ = function() {
+    [...this.element_.querySelectorAll(`.${SLIDE_CLONE}`)].forEach( clone => {
+      // Clones have their own ripples
+      removeRipple_(clone);
+      this.element_.removeChild(clone);
+    });
   };
-  MaterialExtCarousel.prototype['getConfig'] = MaterialExtCarousel.prototype.getConfig;
 
   /**
-   * Initialize component
+   * Observe slides added to, or removed from, the carousel, e.g. by other scripts
+   * @private
    */
-  MaterialExtCarousel.prototype.init = function() {
+  MaterialExtCarousel.prototype.addMutationObserver_ = function() {
+    if(typeof window.MutationObserver === 'undefined' || this.mutationObserver_) {
+      return;
+    }
 
-    if (this.element_) {
-      // Config
-      if(this.element_.hasAttribute('data-config')) {
-        this.config_ = jsonStringToObject(this.element_.getAttribute('data-config'), this.config_);
+    this.mutationObserver_ = new window.MutationObserver( mutations => {
+      const isSlide = node => node.nodeType === 1 && node.classList.contains(SLIDE) && !node.classList.contains(SLIDE_CLONE);
+      const removed = [];
+      let changed = false;
+
+      mutations.forEach( mutation => {
+        [...mutation.addedNodes].forEach( node => changed = changed || isSlide(node) );
+        [...mutation.removedNodes].filter( node => isSlide(node) ).forEach( node => {
+          changed = true;
+          removed.push({ slide: node, nextSibling: mutation.nextSibling, previousSibling: mutation.previousSibling });
+        });
+      });
+
+      if(changed) {
+        this.slidesChanged_(removed);
+      }
+    });
+
+    this.mutationObserver_.observe(this.element_, {
+      attributes: false,
+      childList: true,
+      characterData: false,
+      subtree: false
+    });
+  };
+
+  /**
+   * Stop observing slides
+   * @private
+   */
+  MaterialExtCarousel.prototype.removeMutationObserver_ = function() {
+    if(this.mutationObserver_) {
+      this.mutationObserver_.disconnect();
+      this.mutationObserver_ = null;
+    }
+  };
+
+  /**
+   * Upgrade slides after slides are added or removed. Tears down the ripple of removed slides, moves the
+   * selection to a neighbour if the selected slide is removed, and stops the slideshow if no slides are left
+   * @param removed a list of { slide, nextSibling, previousSibling } for each removed slide
+   * @private
+   */
+  MaterialExtCarousel.prototype.slidesChanged_ = function(removed = []) {
+    const isSlide = node => node && node.parentNode === this.element_ &&
+      node.classList.contains(SLIDE) && !node.classList.contains(SLIDE_CLONE);
+
+    // Skip text nodes
+    const elementSibling = (node, forward) => {
+      while(node && node.nodeType !== 1) {
+        node = forward ? node.nextSibling : node.previousSibling;
+      }
+      return node;
+    };
+
+    let candidates = null;
+
+    removed.forEach( ({ slide, nextSibling, previousSibling }) => {
+      removeRipple_(slide);
+      slide.classList.remove(SLIDE_ACTIVE);
+      if(slide.hasAttribute('aria-selected')) {
+        slide.removeAttribute('aria-selected');
+        candidates = [elementSibling(nextSibling, true), elementSibling(previousSibling, false)];
+      }
+    });
+
+    this.upgradeSlides();
+
+    const slides = this.getSlides_();
+    if(slides.length === 0) {
+      this.cancelSlideShow_();
+    }
+    else if(candidates) {
+      // The selected slide was removed, select its neighbour, so that a running slideshow continues from there.
+      // The neighbour takes the place of the removed slide, the next tick must not advance past it
+      this.setAriaSelected_(candidates.find( node => isSlide(node) ) || slides[slides.length - 1]);
+      this.keepSelectedSlide_ = this.config_.animationLoop.started || this.isSuspended_;
+    }
+
+    // The change is handled, skip pending mutation records
+    if(this.mutationObserver_) {
+      this.mutationObserver_.takeRecords();
+    }
+  };
+
+  /**
+   * Load images declared with 'data-src' or 'data-srcset' in the slides inside the carousel viewport, and in
+   * 'preload' slides before and after the viewport
+   * @private
+   */
+  MaterialExtCarousel.prototype.loadSlidesInViewport_ = function() {
+    if(!this.element_.querySelector(`.${SLIDE_LOADING}`)) {
+      return;
+    }
+
+    const slides = this.getSlides_();
+
+    // Before there is any layout, e.g. at init, every slide would count as being in the viewport
+    const hasSize = el => {
+      const rect = el.getBoundingClientRect();
+      return this.getRectEnd_(rect) > this.getRectStart_(rect);
+    };
+
+    let slidesInViewport = this.isFading_()
+      ? [...this.element_.querySelectorAll(`.${SLIDE_ACTIVE}`)]
+      : hasSize(this.element_) ? this.getSlidesInViewport_().filter(hasSize) : [];
+    if(slidesInViewport.length === 0) {
+      // E.g. a slide wider than the viewport
+      const slide = this.element_.querySelector(`.${SLIDE}[aria-selected]`) || slides[0];
+      slidesInViewport = slide ? [this.getOriginalSlide_(slide)] : [];
+    }
+    if(slidesInViewport.length === 0) {
+      return;
+    }
+
+    const preload = Math.max(parseInt(this.config_.preload) || 0, 0);
+    const first = slides.indexOf(slidesInViewport[0]) - preload;
+    const last = slides.indexOf(slidesInViewport[slidesInViewport.length - 1]) + preload;
+
+    for(let i = first; i <= last; i++) {
+      if(this.isLooping_()) {
+        this.loadSlide_(slides[(i % slides.length + slides.length) % slides.length]);
+      }
+      else if(i >= 0 && i < slides.length) {
+        this.loadSlide_(slides[i]);
+      }
+    }
+  };
+
+  /**
+   * Load the lazy images of a slide, and of its clone. Emits a 'slideloaded' event when all images are loaded
+   * @param slide
+   * @private
+   */
+  MaterialExtCarousel.prototype.loadSlide_ = function(slide) {
+    if(!slide || !slide.classList.contains(SLIDE_LOADING)) {
+      return;
+    }
+
+    const clones = [...this.element_.querySelectorAll(`.${SLIDE_CLONE}`)];
+    const clone = clones[this.getSlides_().indexOf(slide)];
+    if(clone) {
+      clone.classList.remove(SLIDE_LOADING);
+      [...clone.querySelectorAll('img[data-src], img[data-srcset]')].forEach( img => loadImage_(img) );
+    }
+
+    const images = [...slide.querySelectorAll('img[data-src], img[data-srcset]')];
+    const failed = [];
+    let pending = images.length;
+
+    const done = () => {
+      pending -= 1;
+      if(pending <= 0 && slide.classList.contains(SLIDE_LOADING)) {
+        slide.classList.remove(SLIDE_LOADING);
+
+        // The ripple container covers the image, make sure it shows the title of the late loaded image
+        const rippleContainer = slide.querySelector(`.${MDL_RIPPLE_CONTAINER}`);
+        const img = slide.querySelector('img');
+        if(rippleContainer && img && !rippleContainer.title) {
+          rippleContainer.title = img.title;
+        }
+
+        this.element_.dispatchEvent(new CustomEvent('slideloaded', {
+          bubbles: true,
+          detail: {
+            source: slide,
+            failed: failed
+          }
+        }));
+      }
+    };
+
+    if(pending === 0) {
+      done();
+    }
+    else {
+      images.forEach( img => {
+        const settle = event => {
+          img.removeEventListener('load', settle);
+          img.removeEventListener('error', settle);
+          if(event.type === 'error') {
+            failed.push(img);
+            this.element_.dispatchEvent(new CustomEvent('slideloaderror', {
+              bubbles: true,
+              detail: {
+                source: slide,
+                image: img
+              }
+            }));
+          }
+          done();
+        };
+        img.addEventListener('load', settle);
+        img.addEventListener('error', settle);
+        loadImage_(img);
+      });
+    }
+  };
+
+
+  /**
+   * Removes 'aria-selected' from all slides in carousel
+   * @private
+   */
+  MaterialExtCarousel.prototype.setAriaSelected_ = function(slide) {
+    if(slide) {
+      [...this.element_.querySelectorAll(`.${SLIDE}[aria-selected]`)].forEach(
+        slide => slide.removeAttribute('aria-selected')
+      );
+      slide.setAttribute('aria-selected', '');
+      if(this.isFading_()) {
+        this.showSlide_(slide);
+      }
+      this.updateControls_();
+    }
+  };
+
+  /**
+   * Get the width, or height if vertical, of the slide strip, clones not included
+   * @return {number}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getStripWidth_ = function() {
+    return this.getLoopWidth_() || this.getScrollSize_();
+  };
+
+  /**
+   * Check whether slides are stacked and crossfade, e.g. type is 'fade'
+   * @return {boolean}
+   * @private
+   */
+  MaterialExtCarousel.prototype.isFading_ = function() {
+    return 'fade' === this.config_.type;
+  };
+
+  /**
+   * Stack slides on top of each other if type is 'fade', otherwise restore the slide strip
+   * @private
+   */
+  MaterialExtCarousel.prototype.setupFade_ = function() {
+    const slides = this.getSlides_();
+
+    if(this.isFading_()) {
+      // Switch instantly if the user prefers reduced motion
+      const duration = prefersReducedMotion() ? 0 : Math.max(parseInt(this.config_.fadeDuration) || 0, 0);
+
+      this.element_.classList.add(FADE);
+      slides.forEach( slide => slide.style.transitionDuration = `${duration}ms` );
+
+      const active = this.element_.querySelector(`.${SLIDE_ACTIVE}`);
+      if(!active || active.parentNode !== this.element_) {
+        this.showSlide_(this.element_.querySelector(`.${SLIDE}[aria-selected]`) || slides[0]);
+      }
+    }
+    else if(this.element_.classList.contains(FADE)) {
+      this.element_.classList.remove(FADE);
+      slides.forEach( slide => {
+        slide.classList.remove(SLIDE_ACTIVE);
+        slide.style.transitionDuration = '';
+      });
+    }
+  };
+
+  /**
+   * Crossfade to the given slide, if type is 'fade'
+   * @param slide
+   * @private
+   */
+  MaterialExtCarousel.prototype.showSlide_ = function(slide) {
+    if(slide) {
+      [...this.element_.querySelectorAll(`.${SLIDE_ACTIVE}`)].forEach( s => {
+        if(s !== slide) {
+          s.classList.remove(SLIDE_ACTIVE);
+        }
+      });
+      slide.classList.add(SLIDE_ACTIVE);
+      this.loadSlidesInViewport_();
+    }
+  };
+
+  /**
+   * Check whether the slide strip is vertical
+   * @return {boolean}
+   * @private
+   */
+  MaterialExtCarousel.prototype.isVertical_ = function() {
+    return this.config_.orientation === 'vertical';
+  };
+
+  /**
+   * Get scroll position along the slide strip, e.g. scrollTop if vertical, otherwise scrollLeft
+   * @return {number}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getScrollPosition_ = function() {
+    return this.isVertical_() ? this.element_.scrollTop : this.element_.scrollLeft;
+  };
+
+  /**
+   * Set scroll position along the slide strip
+   * @param position
+   * @private
+   */
+  MaterialExtCarousel.prototype.setScrollPosition_ = function(position) {
+    if(this.isVertical_()) {
+      this.element_.scrollTop = position;
+    }
+    else {
+      this.element_.scrollLeft = position;
+    }
+  };
+
+  /**
+   * Get size of the carousel viewport along the slide strip, e.g. clientHeight if vertical, otherwise clientWidth
+   * @return {number}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getViewportSize_ = function() {
+    return this.isVertical_() ? this.element_.clientHeight : this.element_.clientWidth;
+  };
+
+  /**
+   * Get scrollable size along the slide strip, e.g. scrollHeight if vertical, otherwise scrollWidth
+   * @return {number}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getScrollSize_ = function() {
+    return this.isVertical_() ? this.element_.scrollHeight : this.element_.scrollWidth;
+  };
+
+  /**
+   * Get the leading edge of a rectangle along the slide strip, e.g. top if vertical, otherwise left
+   * @param rect a DOMRect
+   * @return {number}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getRectStart_ = function(rect) {
+    return this.isVertical_() ? rect.top : rect.left;
+  };
+
+  /**
+   * Get the trailing edge of a rectangle along the slide strip, e.g. bottom if vertical, otherwise right
+   * @param rect a DOMRect
+   * @return {number}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getRectEnd_ = function(rect) {
+    return this.isVertical_() ? rect.bottom : rect.right;
+  };
+
+  /**
+   * Render prev/next buttons, indicators and a play/pause toggle after the carousel element
+   * @private
+   */
+  MaterialExtCarousel.prototype.addControls_ = function() {
+    this.removeControls_();
+
+    if(!this.element_.parentNode) {
+      // Nowhere to render the controls
+      return;
+    }
+
+    this.controls_ = document.createElement('div');
+    this.controls_.classList.add(CONTROLS);
+
+    const indicators = document.createElement('div');
+    indicators.classList.add(INDICATORS);
+    indicators.setAttribute('role', 'group');
+    indicators.setAttribute('aria-label', this.getLabel_('indicators'));
+
+    const vertical = this.isVertical_();
+    this.controls_.appendChild(createControlButton_(CONTROL_PREV, this.getLabel_('prev'), vertical ? 'expand_less' : 'chevron_left'));
+    this.controls_.appendChild(indicators);
+    this.controls_.appendChild(createControlButton_(CONTROL_NEXT, this.getLabel_('next'), vertical ? 'expand_more' : 'chevron_right'));
+    this.controls_.appendChild(createControlButton_(CONTROL_PLAY, this.getLabel_('play'), 'play_arrow'));
+
+    if(this.element_.id) {
+      [...this.controls_.querySelectorAll('button')].forEach( button =>
+        button.setAttribute('aria-controls', this.element_.id)
+      );
+    }
+
+    this.controls_.addEventListener('click', this.controlsClickHandler_.bind(this), false);
+    this.controls_.addEventListener('keydown', this.controlsKeyDownHandler_.bind(this), false);
+
+    this.element_.parentNode.insertBefore(this.controls_, this.element_.nextSibling);
+
+    [...this.controls_.querySelectorAll('.mdl-js-button')].forEach( button =>
+      componentHandler.upgradeElement(button, 'MaterialButton')
+    );
+
+    this.updateControls_();
+  };
+
+  /**
+   * Get a control label from the 'labels' config, or the default label. Replaces {index} and {count}
+   * @param {string} name
+   * @param {Object} values
+   * @return {string}
+   * @private
+   */
+  MaterialExtCarousel.prototype.getLabel_ = function(name, values = {}) {
+    const labels = this.config_.labels || {};
+    const label = typeof labels[name] === 'string' ? labels[name] : CONTROL_LABELS[name];
+    return label.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+  };
+
+  /**
+   * Remove generated controls
+   * @private
+   */
+  MaterialExtCarousel.prototype.removeControls_ = function() {
+    if(this.controls_) {
+      if(this.controls_.parentNode) {
+        this.controls_.parentNode.removeChild(this.controls_);
+      }
+      this.controls_ = null;
+    }
+  };
+
+  /**
+   * Synchronize controls with selected slide, scroll position and slideshow state
+   * @private
+   */
+  MaterialExtCarousel.prototype.updateControls_ = function() {
+    if(!this.controls_) {
+      return;
+    }
+
+    const slides = this.getSlides_();
+    const isScroll = 'scroll' === this.config_.type;
+    const viewportSize = this.getViewportSize_();
+    const position = this.getScrollPosition_();
+
+    let count = slides.length;
+    let current = slides.indexOf(this.element_.querySelector(`.${SLIDE}[aria-selected]`));
+
+    if(isScroll) {
+      count = viewportSize > 0 ? Math.max(Math.ceil(this.getStripWidth_() / viewportSize), 1) : 1;
+      current = viewportSize > 0 ? Math.min(Math.round(position / viewportSize), count - 1) : 0;
+    }
+
+    // Indicators
+    const indicators = this.controls_.querySelector(`.${INDICATORS}`);
+    if(indicators.children.length !== count) {
+      while (indicators.lastChild) {
+        indicators.removeChild(indicators.lastChild);
+      }
+      for(let i = 0; i < count; i++) {
+        const indicator = document.createElement('button');
+        indicator.setAttribute('type', 'button');
+        indicator.classList.add(INDICATOR);
+        indicator.setAttribute('aria-label', this.getLabel_(isScroll ? 'page' : 'slide', { index: i+1, count: count }));
+        indicators.appendChild(indicator);
+      }
+    }
+
+    // Keep the roving tabindex on the indicator the user is on
+    const focused = [...indicators.children].indexOf(document.activeElement);
+    const tabbable = focused >= 0 ? focused : Math.max(current, 0);
+
+    [...indicators.children].forEach( (indicator, i) => {
+      if(i === current) {
+        indicator.setAttribute('aria-current', 'true');
+      }
+      else {
+        indicator.removeAttribute('aria-current');
+      }
+      // Roving tabindex, only one indicator is in tab order
+      indicator.setAttribute('tabindex', i === tabbable ? '0' : '-1');
+    });
+
+    // Prev/next
+    const looping = this.getLoopWidth_() > 0 || (this.isLooping_() && !isScroll);
+    const prev = this.controls_.querySelector(`.${CONTROL_PREV}`);
+    const next = this.controls_.querySelector(`.${CONTROL_NEXT}`);
+    prev.disabled = !looping && (isScroll ? position <= 0 : current === 0 || count === 0);
+    next.disabled = !looping && (isScroll
+      ? position >= this.getStripWidth_() - viewportSize
+      : current === count - 1 || count === 0);
+
+    // Play/pause
+    const play = this.controls_.querySelector(`.${CONTROL_PLAY}`);
+    const playing = this.isPlaying();
+    play.setAttribute('aria-label', this.getLabel_(playing ? 'stop' : 'play'));
+    play.querySelector('i').textContent = playing ? 'pause' : 'play_arrow';
+  };
+
+  /**
+   * Handle click on generated controls
+   * @param event
+   * @private
+   */
+  MaterialExtCarousel.prototype.controlsClickHandler_ = function(event) {
+    const button = event.target.closest('button');
+    if(!button || button.disabled) {
+      return;
+    }
+    event.preventDefault();
+
+    const isScroll = 'scroll' === this.config_.type;
+
+    if(button.classList.contains(CONTROL_PREV)) {
+      if(isScroll) {
+        this.command_(new CustomEvent('command', { detail: { action: 'scroll-prev' } }));
+      }
+      else {
+        this.prev();
+      }
+    }
+    else if(button.classList.contains(CONTROL_NEXT)) {
+      if(isScroll) {
+        this.command_(new CustomEvent('command', { detail: { action: 'scroll-next' } }));
+      }
+      else {
+        this.next();
+      }
+    }
+    else if(button.classList.contains(CONTROL_PLAY)) {
+      if(this.isPlaying()) {
+        this.pause();
+      }
+      else {
+        this.play();
+      }
+    }
+    else if(button.classList.contains(INDICATOR)) {
+      this.goTo([...button.parentNode.children].indexOf(button));
+    }
+  };
+
+  /**
+   * Handle arrow keys, home and end in the indicator group
+   * @param event
+   * @private
+   */
+  MaterialExtCarousel.prototype.controlsKeyDownHandler_ = function(event) {
+    const indicator = event.target.closest(`.${INDICATOR}`);
+    if(!indicator) {
+      return;
+    }
+
+    const indicators = [...indicator.parentNode.children];
+    let i = indicators.indexOf(indicator);
+
+    switch (event.keyCode) {
+      case VK_ARROW_LEFT:
+      case VK_ARROW_UP:
+        i = i > 0 ? i - 1 : indicators.length - 1;
+        break;
+      case VK_ARROW_RIGHT:
+      case VK_ARROW_DOWN:
+        i = i < indicators.length - 1 ? i + 1 : 0;
+        break;
+      case VK_HOME:
+        i = 0;
+        break;
+      case VK_END:
+        i = indicators.length - 1;
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    indicators.forEach( (el, n) => el.setAttribute('tabindex', n === i ? '0' : '-1') );
+    indicators[i].focus();
+  };
+
+  /**
+   * Removes event listeners
+   * @private
+   */
+  MaterialExtCarousel.prototype.removeListeners_ = function() {
+    this.element_.removeEventListener('focus', this.focusHandler_);
+    this.element_.removeEventListener('blur', this.blurHandler_);
+    this.element_.removeEventListener('keydown', this.keyDownHandler_);
+    this.element_.removeEventListener('pointerdown', this.dragHandler_);
+    this.element_.removeEventListener('mousedown', this.dragHandler_);
+    this.element_.removeEventListener('touchstart', this.dragHandler_);
+    this.element_.removeEventListener('click', this.clickHandler_, false);
+    this.element_.removeEventListener('command', this.commandHandler_);
+    this.element_.removeEventListener('mdl-componentdowngraded', this.mdlDowngrade_);
+
+    if(this.visibilityChangeHandler_) {
+      document.removeEventListener('visibilitychange', this.visibilityChangeHandler_);
+      this.visibilityChangeHandler_ = null;
+    }
+    if(this.viewportChangeHandler_) {
+      this.element_.removeEventListener('scroll', this.viewportChangeHandler_);
+      window.removeEventListener('resize', this.viewportChangeHandler_);
+      this.viewportChangeHandler_ = null;
+    }
+    if(this.intersectionObserver_) {
+      this.intersectionObserver_.disconnect();
+      this.intersectionObserver_ = null;
+    }
+    this.removeMutationObserver_();
+  };
+
+
+  // Helpers
+  const getSlide_ = element => {
+    return element.closest(`.${SLIDE}`);
+  };
+
+  const clientXY_ = event => {
+    const point = event.touches !== undefined && event.touches.length > 0 ? event.touches[0] : event;
+    return { x: point.clientX || 0, y: point.clientY || 0 };
+  };
+
+  const loadImage_ = img => {
+    if(img.hasAttribute('data-srcset')) {
+      img.setAttribute('srcset', img.getAttribute('data-srcset'));
+      img.removeAttribute('data-srcset');
+    }
+    if(img.hasAttribute('data-src')) {
+      img.setAttribute('src', img.getAttribute('data-src'));
+      img.removeAttribute('data-src');
+    }
+  };
+
+  const toSlides_ = slides => {
+    if(typeof slides === 'string') {
+      const template = document.createElement('ul');
+      template.innerHTML = slides.trim();
+      slides = template.children;
+    }
+    const elements = slides instanceof HTMLElement ? [slides] : [...(slides || [])];
+    return elements.filter( el => el instanceof HTMLElement ).map( el => {
+      el.classList.add(SLIDE);
+      return el;
+    });
+  };
+
+  const setFocus_ = (slide, preventScroll = false) => {
+    if(slide) {
+      slide.focus({ preventScroll: preventScroll });
+    }
+  };
+
+  const addRipple_ = slide => {
+    if(!slide.querySelector(`.${MDL_RIPPLE_CONTAINER}`)) {
+      const rippleContainer = document.createElement('span');
+      rippleContainer.classList.add(MDL_RIPPLE_CONTAINER);
+      rippleContainer.classList.add(MDL_RIPPLE_EFFECT);
+      const ripple = document.createElement('span');
+      ripple.classList.add(MDL_RIPPLE);
+      rippleContainer.appendChild(ripple);
+
+      const img = slide.querySelector('img');
+      if (img) {
+        // rippleContainer blocks image title
+        rippleContainer.title = img.title;
+      }
+      slide.appendChild(rippleContainer);
+      componentHandler.upgradeElement(rippleContainer, MDL_RIPPLE_COMPONENT);
+    }
+  };
+
+  const removeRipple_ = slide => {
+    const rippleContainer = slide.querySelector(`.${MDL_RIPPLE_CONTAINER}`);
+    if(rippleContainer) {
+      componentHandler.downgradeElements(rippleContainer);
+      rippleContainer.parentNode.removeChild(rippleContainer);
+    }
+  };
+
+  const createControlButton_ = (className, label, icon) => {
+    const button = document.createElement('button');
+    button.setAttribute('type', 'button');
+    [CONTROL, className, 'mdl-button', 'mdl-js-button', 'mdl-button--icon'].forEach( c => button.classList.add(c) );
+    button.setAttribute('aria-label', label);
+
+    const i = document.createElement('i');
+    i.classList.add('material-icons');
+    i.setAttribute('aria-hidden', 'true');
+    i.textContent = icon;
+    button.appendChild(i);
+    return button;
+  };
+  // End helpers
+
+
+  // Public methods.
+
+  /**
+   * Cancel animation - if running.
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.stopAnimation = function() {
+    this.config_.animationLoop.stop();
+    this.isSuspended_ = false;
+    this.updateControls_();
+  };
+  MaterialExtCarousel.prototype['stopAnimation'] = MaterialExtCarousel.prototype.stopAnimation;
+
+
+  /**
+   * Upgrade slides
+   * Use if more list elements are added later (dynamically)
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.upgradeSlides = function() {
+
+    const hasRippleEffect = this.element_.classList.contains(MDL_RIPPLE_EFFECT);
+
+    this.removeClones_();
+
+    this.getSlides_().forEach( slide => {
+
+      slide.setAttribute('role', SLIDE_ROLE);
+
+      if(slide.querySelector('img[data-src], img[data-srcset]')) {
+        // Lazy loaded images, see loadSlidesInViewport_
+        slide.classList.add(SLIDE_LOADING);
+      }
+
+      if(this.config_.interactive) {
+        if(!slide.getAttribute('tabindex')) {
+          slide.setAttribute('tabindex', '0');
+        }
+        if (hasRippleEffect) {
+          addRipple_(slide);
+        }
+      }
+      else {
+        slide.setAttribute('tabindex', '-1');
+      }
+    });
+
+    // Stacked slides are not scrolled, so there is no need for clones
+    if(this.isLooping_() && !this.isFading_()) {
+      this.appendClones_();
+    }
+    this.setupFade_();
+    this.loadSlidesInViewport_();
+    this.updateControls_();
+  };
+  MaterialExtCarousel.prototype['upgradeSlides'] = MaterialExtCarousel.prototype.upgradeSlides;
+
+
+  /**
+   * Get config object
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.getConfig = function() {
+    return this.config_;
+  };
+  MaterialExtCarousel.prototype['getConfig'] = MaterialExtCarousel.prototype.getConfig;
+
+  /**
+   * Update config. Changes to 'type', 'loop', 'controls', 'orientation', 'observeSlides' and 'interval' take effect immediately,
+   * 'interactive' is only read when the component is initialized
+   * @param config a partial config object, e.g. { interval: 2000 }
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.setConfig = function(config) {
+    if(!config) {
+      return;
+    }
+    const { type, loop, controls, orientation, observeSlides } = this.config_;
+    Object.assign(this.config_, config);
+
+    if(orientation !== this.config_.orientation) {
+      this.element_.setAttribute('aria-orientation', this.isVertical_() ? 'vertical' : 'horizontal');
+    }
+    if(loop !== this.config_.loop || type !== this.config_.type) {
+      this.upgradeSlides();
+    }
+    if(controls !== this.config_.controls || (this.config_.controls && orientation !== this.config_.orientation)) {
+      if(this.config_.controls) {
+        this.addControls_();
+      }
+      else {
+        this.removeControls_();
+      }
+    }
+    if(observeSlides !== this.config_.observeSlides) {
+      if(this.config_.observeSlides) {
+        this.addMutationObserver_();
+      }
+      else {
+        this.removeMutationObserver_();
+      }
+    }
+    if(this.config_.animationLoop.started) {
+      this.config_.animationLoop.interval = this.config_.interval;
+    }
+    this.updateControls_();
+  };
+  MaterialExtCarousel.prototype['setConfig'] = MaterialExtCarousel.prototype.setConfig;
+
+  /**
+   * Select a slide, or in 'scroll' mode, move a page of slides into view. Emits a 'select' event
+   * @param {number|HTMLElement} target the index of the slide, or page, or a slide element
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.goTo = function(target) {
+    this.cancelSlideShow_();
+
+    if(target instanceof HTMLElement) {
+      const slide = this.getOriginalSlide_(getSlide_(target));
+      if(slide && this.element_.contains(slide)) {
+        this.setAriaSelected_(slide);
+        this.emitSelectEvent_('goto', null, slide);
+      }
+    }
+    else if('scroll' === this.config_.type) {
+      const x = Math.min(target * this.getViewportSize_(), this.getStripWidth_() - this.getViewportSize_());
+
+      this.animateScroll_(Math.max(x, 0), undefined, () => {
+        const slide = this.getSlidesInViewport_()[0];
+        this.setAriaSelected_(slide);
+        this.emitSelectEvent_('goto', null, slide);
+      });
+    }
+    else {
+      const slide = this.getSlides_()[target];
+      if(slide) {
+        this.setAriaSelected_(slide);
+        this.emitSelectEvent_('goto', null, slide);
+      }
+    }
+  };
+  MaterialExtCarousel.prototype['goTo'] = MaterialExtCarousel.prototype.goTo;
+
+  /**
+   * Select the next slide. Does nothing if no slide is selected. Emits a 'select' event
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.next = function() {
+    // Stacked slides continue from the visible slide
+    const slide = this.element_.querySelector(`.${SLIDE}[aria-selected]`) || this.element_.querySelector(`.${SLIDE_ACTIVE}`);
+    if(slide) {
+      this.cancelSlideShow_();
+      const nextSlide = this.getNextSlide_(slide, this.isLooping_());
+      this.setAriaSelected_(nextSlide);
+      this.emitSelectEvent_('next', null, nextSlide);
+    }
+  };
+  MaterialExtCarousel.prototype['next'] = MaterialExtCarousel.prototype.next;
+
+  /**
+   * Select the previous slide. Does nothing if no slide is selected. Emits a 'select' event
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.prev = function() {
+    // Stacked slides continue from the visible slide
+    const slide = this.element_.querySelector(`.${SLIDE}[aria-selected]`) || this.element_.querySelector(`.${SLIDE_ACTIVE}`);
+    if(slide) {
+      this.cancelSlideShow_();
+      const prevSlide = this.getPrevSlide_(slide, this.isLooping_());
+      this.setAriaSelected_(prevSlide);
+      this.emitSelectEvent_('prev', null, prevSlide);
+    }
+  };
+  MaterialExtCarousel.prototype['prev'] = MaterialExtCarousel.prototype.prev;
+
+  /**
+   * Start slideshow
+   * @param config optional partial config, e.g. { type: 'scroll', interval: 2000 }
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.play = function(config) {
+    this.setConfig(config);
+    this.startSlideShow_();
+  };
+  MaterialExtCarousel.prototype['play'] = MaterialExtCarousel.prototype.play;
+
+  /**
+   * Stop slideshow. Emits a 'select' event with command 'pause', if the slideshow was running
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.pause = function() {
+    this.cancelSlideShow_();
+  };
+  MaterialExtCarousel.prototype['pause'] = MaterialExtCarousel.prototype.pause;
+
+  /**
+   * Check whether the slideshow is running, or suspended because the carousel is not visible
+   * @return {boolean}
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.isPlaying = function() {
+    return this.config_.animationLoop.started || this.isSuspended_;
+  };
+  MaterialExtCarousel.prototype['isPlaying'] = MaterialExtCarousel.prototype.isPlaying;
+
+  /**
+   * Get the index of the selected slide
+   * @return {number} the index, or -1 if no slide is selected
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.getSelectedIndex = function() {
+    return this.getSlides_().indexOf(this.element_.querySelector(`.${SLIDE}[aria-selected]`));
+  };
+  MaterialExtCarousel.prototype['getSelectedIndex'] = MaterialExtCarousel.prototype.getSelectedIndex;
+
+  /**
+   * Get the slides, clones not included
+   * @return {Array<HTMLElement>}
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.getSlides = function() {
+    return this.getSlides_();
+  };
+  MaterialExtCarousel.prototype['getSlides'] = MaterialExtCarousel.prototype.getSlides;
+
+  /**
+   * Append slides to the carousel, and upgrade them
+   * @param {HTMLElement|Array<HTMLElement>|NodeList|string} slides slide elements, or an HTML string
+   * @return {Array<HTMLElement>} the appended slides
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.appendSlides = function(slides) {
+    const newSlides = toSlides_(slides);
+    const clone = this.element_.querySelector(`.${SLIDE_CLONE}`);
+    newSlides.forEach( slide => this.element_.insertBefore(slide, clone) );
+    this.slidesChanged_();
+    return newSlides;
+  };
+  MaterialExtCarousel.prototype['appendSlides'] = MaterialExtCarousel.prototype.appendSlides;
+
+  /**
+   * Insert a slide at the given index, and upgrade it
+   * @param {HTMLElement|string} slide a slide element, or an HTML string
+   * @param {number} index the index of the new slide. The slide is appended if index is omitted, or out of range
+   * @return {HTMLElement} the inserted slide
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.insertSlide = function(slide, index) {
+    const newSlide = toSlides_(slide)[0];
+    if(newSlide) {
+      const before = this.getSlides_()[index] || this.element_.querySelector(`.${SLIDE_CLONE}`);
+      this.element_.insertBefore(newSlide, before);
+      this.slidesChanged_();
+    }
+    return newSlide || null;
+  };
+  MaterialExtCarousel.prototype['insertSlide'] = MaterialExtCarousel.prototype.insertSlide;
+
+  /**
+   * Remove a slide from the carousel
+   * @param {number|HTMLElement} target the index of the slide, or a slide element
+   * @return {HTMLElement} the removed slide, or null if the slide is not found
+   *
+   * @public
+   */
+  MaterialExtCarousel.prototype.removeSlide = function(target) {
+    const slides = this.getSlides_();
+    const slide = target instanceof HTMLElement
+      ? this.getOriginalSlide_(getSlide_(target))
+      : slides[target];
+
+    if(!slide || slides.indexOf(slide) < 0) {
+      return null;
+    }
+
+    const removed = {
+      slide: slide,
+      nextSibling: slide.nextSibling,
+      previousSibling: slide.previousSibling
+    };
+    this.element_.removeChild(slide);
+    this.slidesChanged_([removed]);
+    return slide;
+  };
+  MaterialExtCarousel.prototype['removeSlide'] = MaterialExtCarousel.prototype.removeSlide;
+
+  /**
+   * Initialize component
+   */
+  MaterialExtCarousel.prototype.init = function() {
+
+    if (this.element_) {
+      // Config
+      if(this.element_.hasAttribute('data-config')) {
+        this.config_ = jsonStringToObject(this.element_.getAttribute('data-config'), this.config_);
       }
 
       // Wai-Aria
       this.element_.setAttribute('role', ROLE);
+      this.element_.setAttribute('aria-orientation', this.isVertical_() ? 'vertical' : 'horizontal');
 
       // Prefer tabindex -1
       if(!Number.isInteger(this.element_.getAttribute('tabindex'))) {
@@ -673,8 +2084,13 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
         this.element_.addEventListener('keydown', this.keyDownHandler_.bind(this), false);
 
         // Listen to drag events
-        this.element_.addEventListener('mousedown', this.dragHandler_.bind(this), false);
-        this.element_.addEventListener('touchstart', this.dragHandler_.bind(this), false);
+        if(typeof window.PointerEvent !== 'undefined') {
+          this.element_.addEventListener('pointerdown', this.dragHandler_.bind(this), false);
+        }
+        else {
+          this.element_.addEventListener('mousedown', this.dragHandler_.bind(this), false);
+          this.element_.addEventListener('touchstart', this.dragHandler_.bind(this), false);
+        }
 
         // Listen to click events
         this.element_.addEventListener('click', this.clickHandler_.bind(this), false);
@@ -686,9 +2102,29 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
       // Listen to 'mdl-componentdowngraded' event
       this.element_.addEventListener('mdl-componentdowngraded', this.mdlDowngrade_.bind(this));
 
+      // Suspend slideshow when carousel is not visible
+      this.addVisibilityObservers_();
+
+      // Load lazy images when slides are brought into view by the user, e.g. by a trackpad or scrollbar scroll
+      this.viewportChangeHandler_ = fullThrottle( () => this.loadSlidesInViewport_() );
+      this.element_.addEventListener('scroll', this.viewportChangeHandler_);
+      window.addEventListener('resize', this.viewportChangeHandler_);
+
       // Slides collection
       this.upgradeSlides();
 
+      if(this.config_.observeSlides) {
+        this.addMutationObserver_();
+      }
+
+      // Generated controls
+      if(this.config_.controls) {
+        this.addControls_();
+      }
+      else {
+        this.removeControls_();
+      }
+
       // Set upgraded flag
       this.element_.classList.add(IS_UPGRADED);
 
@@ -710,6 +2146,9 @@ const MDL_RIPPLE_CONTAINER = 'mdlext-carousel__slide__ripple-container';
     // Stop animation - if any
     this.stopAnimation();
 
+    // Remove generated controls
+    this.removeControls_();
+
     // Remove listeners
     this.removeListeners_();
   };
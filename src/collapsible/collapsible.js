@@ -29,17 +29,47 @@
 
 import {
   IS_UPGRADED,
+  VK_ESC,
   VK_SPACE,
   VK_ENTER,
 } from '../utils/constants';
 
 import { randomString } from '../utils/string-utils';
-import { getParentElements, isFocusable } from '../utils/dom-utils';
+import { getParentElements, isFocusable, transitionSize } from '../utils/dom-utils';
+import { getStorageAdapter, hashId, registerStorageAdapter } from '../utils/storage';
+import { fetchContent, loadContent } from '../utils/content-loader';
 
 const JS_COLLAPSIBLE = 'mdlext-js-collapsible';
 const COLLAPSIBLE_CONTROL_CLASS = 'mdlext-collapsible';
 const COLLAPSIBLE_GROUP_CLASS = 'mdlext-collapsible-group';
 const COLLAPSIBLE_REGION_CLASS = 'mdlext-collapsible-region';
+const GROUP_ATTRIBUTE = 'data-collapsible-group';
+const DISMISS_ATTRIBUTE = 'data-collapsible-dismiss';
+const PERSIST_ATTRIBUTE = 'data-persist';
+const PERSIST_STORAGE_ATTRIBUTE = 'data-persist-storage';
+const ANIMATION_EFFECT = 'mdlext-js-animation-effect';
+const REGION_ANIMATION = 'mdlext-collapsible-region--animation';
+const REGION_LOADING = 'mdlext-collapsible-region--loading';
+const REGION_ERROR = 'mdlext-collapsible-region--error';
+const ARIA_BUSY = 'aria-busy';
+
+// The <template> holding the lazy rendered content of a region. Templates of nested collapsibles are left as is
+const regionTemplate = region =>
+  [...region.children].find(el => el.nodeName.toLowerCase() === 'template') || null;
+
+// Instantiate the template content. Falls back to the markup if the browser does not support <template>
+const templateContent = template => {
+  if(template.content) {
+    return document.importNode(template.content, true);
+  }
+  const fragment = document.createDocumentFragment();
+  const div = document.createElement('div');
+  div.innerHTML = template.innerHTML;
+  while(div.firstChild) {
+    fragment.appendChild(div.firstChild);
+  }
+  return fragment;
+};
 
 /**
  * The collapsible component
@@ -48,6 +78,10 @@ const COLLAPSIBLE_REGION_CLASS = 'mdlext-collapsible-region';
 class Collapsible {
   element_ = null;
   controlElement_ = null;
+  transitions_ = new Map();
+  dismissElements_ = [];
+  pendingExpand_ = null;
+  persistence_ = null;
 
   /**
    * @constructor
@@ -87,6 +121,37 @@ class Collapsible {
     }
   };
 
+  outsideClickHandler = event => {
+    if(!this.contains(event.target)) {
+      this.dismiss();
+    }
+  };
+
+  escapeKeyHandler = event => {
+    // One Escape dismisses the innermost dismissible only. The event is prevented when a collapsible is dismissed
+    if(event.keyCode === VK_ESC && !event.defaultPrevented && this.contains(event.target) &&
+      !this.nestedDismissibles.some(nested => nested.contains(event.target))) {
+      event.preventDefault();
+      this.dismiss(true);
+    }
+  };
+
+  hashChangeHandler = () => {
+    this.expandFromHash();
+  };
+
+  blurHandler = event => {
+    // See: https://github.com/facebook/react/issues/2011
+    const t = event.relatedTarget ||
+      event.explicitOriginalTarget || // FF
+      document.activeElement;         // IE11
+
+    // No related target, e.g. when clicking a non focusable element. The outside click handler takes care of that
+    if(t && t !== document.body && !this.contains(t)) {
+      this.dismiss();
+    }
+  };
+
   get element() {
     return this.element_;
   }
@@ -107,6 +172,15 @@ class Collapsible {
       this.controlElement.getAttribute('aria-expanded').toLowerCase() === 'true';
   }
 
+  get isAnimated() {
+    return this.element.classList.contains(ANIMATION_EFFECT);
+  }
+
+  get isDismissible() {
+    return this.element.hasAttribute(DISMISS_ATTRIBUTE) &&
+      this.element.getAttribute(DISMISS_ATTRIBUTE).toLowerCase() !== 'false';
+  }
+
   get regionIds() {
     return this.controlElement.hasAttribute('aria-controls')
       ? this.controlElement.getAttribute('aria-controls').split(' ')
@@ -119,29 +193,244 @@ class Collapsible {
       .filter( el => el != null);
   }
 
+  get groupName() {
+    return this.element.getAttribute(GROUP_ATTRIBUTE) || null;
+  }
+
+  get groupMembers() {
+    const name = this.groupName;
+    if(!name) {
+      return [];
+    }
+    // Other upgraded collapsibles in the same group
+    return [...document.querySelectorAll(`[${GROUP_ATTRIBUTE}]`)]
+      .filter(el => el !== this.element && el.getAttribute(GROUP_ATTRIBUTE) === name && el.MaterialExtCollapsible)
+      .map(el => el.MaterialExtCollapsible.collapsible);
+  }
+
+  get nestedDismissibles() {
+    // Expanded dismissible collapsibles inside the regions of this collapsible
+    return this.regionElements
+      .reduce((elements, region) => elements.concat([...region.querySelectorAll(`[${DISMISS_ATTRIBUTE}]`)]), [])
+      .filter(el => el.MaterialExtCollapsible)
+      .map(el => el.MaterialExtCollapsible.collapsible)
+      .filter(collapsible => collapsible.isDismissible && collapsible.isExpanded);
+  }
+
+  /**
+   * The storage adapter and key for the persisted expanded state, or null if the collapsible
+   * has no 'data-persist' attribute. An empty 'data-persist' is keyed by the id of the control element
+   * @return {{storage: Object, key: string}|null}
+   * @throws {Error} if the storage is unknown
+   */
+  getPersistence() {
+    if(!this.element.hasAttribute(PERSIST_ATTRIBUTE)) {
+      return null;
+    }
+    const key = this.element.getAttribute(PERSIST_ATTRIBUTE) || this.controlElement.id;
+    if(!key) {
+      return null;
+    }
+    const name = this.element.getAttribute(PERSIST_STORAGE_ATTRIBUTE) || 'session';
+    return { storage: getStorageAdapter(name), key: key };
+  }
+
+  saveState() {
+    const persistence = this.persistence_;
+    if(persistence) {
+      try {
+        persistence.storage.setItem(persistence.key, String(this.isExpanded));
+      }
+      catch(e) {
+        // Storage is full, or not available, e.g. disabled by the user
+      }
+    }
+  }
+
+  /**
+   * Restore the persisted expanded state. Does not emit any events, the regions are not upgraded yet
+   */
+  restoreState() {
+    const persistence = this.persistence_;
+    if(persistence) {
+      let value = null;
+      try {
+        value = persistence.storage.getItem(persistence.key);
+      }
+      catch(e) {
+        return;
+      }
+      if(value === 'true' || value === 'false') {
+        this.controlElement.setAttribute('aria-expanded', value);
+      }
+    }
+  }
+
+  /**
+   * Expand the collapsible if one of its regions contains the element targeted by the URL fragment.
+   * Nested collapsibles expand themselves, so every ancestor of the target expands. The innermost
+   * collapsible scrolls the target into view
+   */
+  expandFromHash() {
+    const id = hashId();
+    const target = id ? document.getElementById(id) : null;
+    const region = target ? this.regionElements.find(r => r.contains(target)) : null;
+    if(!region) {
+      return;
+    }
+
+    this.expand();
+
+    const innermost = ![...region.querySelectorAll(`.${COLLAPSIBLE_GROUP_CLASS}, .${COLLAPSIBLE_REGION_CLASS}`)]
+      .some(r => r.contains(target));
+
+    if(this.isExpanded && innermost && typeof target.scrollIntoView === 'function') {
+      target.scrollIntoView();
+    }
+  }
+
+  /**
+   * Check whether a node is the collapsible, its control element, or inside one of its regions
+   * @param {Node} node
+   * @return {boolean}
+   */
+  contains(node) {
+    return !!node && (this.element.contains(node) || this.controlElement.contains(node) ||
+      this.regionElements.some(region => region.contains(node)));
+  }
+
+  /**
+   * Collapse a dismissible collapsible. Focus inside a region moves to the control element,
+   * so that focus is not lost when the region is hidden
+   * @param {boolean} forceFocus move focus to the control element
+   */
+  dismiss(forceFocus = false) {
+    const focused = document.activeElement;
+    const focusInRegion = !!focused && this.regionElements.some(region => region.contains(focused));
+    this.collapse();
+    if((forceFocus || focusInRegion) && !this.isExpanded) {
+      this.controlElement.focus();
+    }
+  }
+
+  /**
+   * Collapse the other collapsibles in the group. Disabled collapsibles are left as is
+   * @return {boolean} false if collapsing any of the collapsibles was cancelled
+   */
+  collapseGroupMembers() {
+    const members = this.groupMembers.filter(member => member.isExpanded && !member.isDisabled);
+    members.forEach(member => member.collapse());
+    return members.every(member => !member.isExpanded);
+  }
+
   collapse() {
+    if(this.pendingExpand_) {
+      // Collapsing while the expansion is deferred cancels the expansion
+      this.cancelPendingExpand();
+      return;
+    }
     if(!this.isDisabled && this.isExpanded) {
       if(this.dispatchToggleEvent('collapse')) {
         this.controlElement.setAttribute('aria-expanded', 'false');
-        const regions = this.regionElements.slice(0);
-        for (let i = regions.length - 1; i >= 0; --i) {
-          regions[i].setAttribute('hidden', '');
-        }
+        this.saveState();
+        this.removeDismissListeners();
+        this.transitionRegions(false);
       }
     }
   }
 
   expand() {
-    if(!this.isDisabled && !this.isExpanded) {
-      if(this.dispatchToggleEvent('expand')) {
-        this.controlElement.setAttribute('aria-expanded', 'true');
-        this.regionElements.forEach(region => region.removeAttribute('hidden'));
+    if(!this.isDisabled && !this.isExpanded && !this.pendingExpand_) {
+      const promises = [];
+      if(this.dispatchToggleEvent('expand', promises)) {
+        if(promises.length) {
+          // The group members collapse when the promises resolve
+          this.deferExpand(promises);
+        }
+        else if(this.collapseGroupMembers()) {
+          // Only one collapsible in a group is expanded, so do not expand if collapsing another member was cancelled
+          this.expandRegions();
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait for the promises passed to event.detail.waitUntil before expanding. The regions have aria-busy
+   * while waiting. A rejected promise, or a collapse while waiting, cancels the expansion
+   * @param {Array<Promise>} promises
+   */
+  deferExpand(promises) {
+    const pending = {};
+    this.pendingExpand_ = pending;
+    this.regionElements.forEach(region => region.setAttribute(ARIA_BUSY, 'true'));
+
+    const isCurrent = () => this.pendingExpand_ === pending;
+
+    Promise.all(promises).then(() => {
+      if(isCurrent()) {
+        this.cancelPendingExpand();
+        if(!this.isDisabled && !this.isExpanded && this.collapseGroupMembers()) {
+          this.expandRegions();
+        }
+      }
+    }, () => {
+      if(isCurrent()) {
+        this.cancelPendingExpand();
       }
+    });
+  }
+
+  cancelPendingExpand() {
+    this.pendingExpand_ = null;
+    this.regionElements
+      .filter(region => !region.classList.contains(REGION_LOADING))
+      .forEach(region => region.removeAttribute(ARIA_BUSY));
+  }
+
+  expandRegions() {
+    this.controlElement.setAttribute('aria-expanded', 'true');
+    this.saveState();
+    this.addDismissListeners();
+    this.regionElements.forEach(region => this.loadRegion(region));
+    this.transitionRegions(true);
+  }
+
+  /**
+   * Render the content of a region the first time it expands, from a <template> child or from the
+   * 'data-src' URL. Loaded content is upgraded, and a 'regionloaded' event is emitted. If loading
+   * fails, 'data-src' is kept, so the next expansion retries
+   * @param {HTMLElement} region
+   */
+  loadRegion(region) {
+    const template = regionTemplate(region);
+    if(template) {
+      region.replaceChild(templateContent(template), template);
+      componentHandler.upgradeElements(region);
+      this.dispatchRegionEvent('regionloaded', region);
+    }
+
+    const src = region.getAttribute('data-src');
+    if(!src || region.classList.contains(REGION_LOADING)) {
+      return;
     }
+
+    const loaded = content => {
+      region.innerHTML = content;
+      region.removeAttribute('data-src');
+      componentHandler.upgradeElements(region);
+      this.dispatchRegionEvent('regionloaded', region);
+    };
+
+    const failed = error => this.dispatchRegionEvent('regionerror', region, error);
+
+    // Not then().catch(), an error after the content is in place is not a load error
+    loadContent(region, () => fetchContent(src), { loadingClass: REGION_LOADING, errorClass: REGION_ERROR })
+      .then(loaded, failed);
   }
 
   toggle() {
-    if (this.isExpanded) {
+    if (this.isExpanded || this.pendingExpand_) {
       this.collapse();
     }
     else {
@@ -149,18 +438,104 @@ class Collapsible {
     }
   }
 
-  dispatchToggleEvent(action) {
+  dispatchToggleEvent(action, promises) {
+    const detail = { action: action };
+    if(promises) {
+      // Defer the expansion until the promise resolves
+      detail.waitUntil = promise => promises.push(Promise.resolve(promise));
+    }
     return this.element.dispatchEvent(
       new CustomEvent('toggle', {
         bubbles: true,
         cancelable: true,
-        detail: {
-          action: action
-        }
+        detail: detail
+      })
+    );
+  }
+
+  dispatchRegionEvent(type, region, error) {
+    this.element.dispatchEvent(
+      new CustomEvent(type, {
+        bubbles: true,
+        cancelable: false,
+        detail: error ? { region: region, error: error } : { region: region }
+      })
+    );
+  }
+
+  dispatchStateEvent(expanded) {
+    this.element.dispatchEvent(
+      new CustomEvent(expanded ? 'expanded' : 'collapsed', {
+        bubbles: true,
+        cancelable: false
       })
     );
   }
 
+  /**
+   * Expand or collapse all regions. Dispatches 'expanded' or 'collapsed' when every region has completed
+   * its transition. A transition interrupted by a new toggle does not dispatch any event
+   * @param {boolean} expand
+   */
+  transitionRegions(expand) {
+    const regions = this.regionElements;
+    if(!expand) {
+      // Hide regions in reverse order
+      regions.reverse();
+    }
+    let pending = regions.length;
+    const done = () => {
+      if(--pending <= 0) {
+        this.dispatchStateEvent(expand);
+      }
+    };
+    if(pending === 0) {
+      done();
+    }
+    regions.forEach(region => this.transitionRegion(region, expand, done));
+  }
+
+  transitionRegion(region, expand, done) {
+    // A region in the middle of a transition starts from its current height
+    const from = region.hasAttribute('hidden') ? 0 : region.getBoundingClientRect().height;
+    this.cancelTransition(region);
+
+    if(expand) {
+      region.removeAttribute('hidden');
+    }
+
+    const finish = () => {
+      this.cancelTransition(region);
+      if(!expand) {
+        region.setAttribute('hidden', '');
+      }
+      done();
+    };
+
+    if(!this.isAnimated) {
+      finish();
+      return;
+    }
+
+    const to = expand ? region.getBoundingClientRect().height : 0;
+    const cancel = transitionSize(region, 'height', from, to, finish);
+    if(cancel) {
+      this.transitions_.set(region, cancel);
+    }
+  }
+
+  /**
+   * Cancel a running transition, and remove the inline styles set by the transition
+   * @param {HTMLElement} region
+   */
+  cancelTransition(region) {
+    const cancel = this.transitions_.get(region);
+    if(cancel) {
+      cancel();
+      this.transitions_.delete(region);
+    }
+  }
+
   disableToggle() {
     this.controlElement.setAttribute('aria-disabled', true);
   }
@@ -192,8 +567,13 @@ class Collapsible {
       region.id = `${region.getAttribute('role')}-${randomString()}`;
     }
 
+    if(this.isAnimated) {
+      region.classList.add(REGION_ANIMATION);
+    }
+
     if(this.isExpanded) {
       region.removeAttribute('hidden');
+      this.loadRegion(region);
     }
     else {
       region.setAttribute('hidden', '');
@@ -208,9 +588,33 @@ class Collapsible {
     }
   }
 
+  /**
+   * Listen for outside clicks, focus leaving and Escape while a dismissible collapsible is expanded
+   */
+  addDismissListeners() {
+    this.removeDismissListeners();
+    if(this.isDismissible) {
+      this.dismissElements_ = [this.controlElement, ...this.regionElements];
+      this.dismissElements_.forEach(el => el.addEventListener('blur', this.blurHandler, true));
+      document.documentElement.addEventListener('click', this.outsideClickHandler, true);
+      document.documentElement.addEventListener('touchstart', this.outsideClickHandler, true);
+      document.documentElement.addEventListener('keydown', this.escapeKeyHandler, true);
+    }
+  }
+
+  removeDismissListeners() {
+    this.dismissElements_.forEach(el => el.removeEventListener('blur', this.blurHandler, true));
+    this.dismissElements_ = [];
+    document.documentElement.removeEventListener('click', this.outsideClickHandler, true);
+    document.documentElement.removeEventListener('touchstart', this.outsideClickHandler, true);
+    document.documentElement.removeEventListener('keydown', this.escapeKeyHandler, true);
+  }
+
   removeListeners() {
     this.controlElement.removeEventListener('keydown', this.keyDownHandler);
     this.controlElement.removeEventListener('click', this.clickHandler);
+    window.removeEventListener('hashchange', this.hashChangeHandler);
+    this.removeDismissListeners();
   }
 
   init() {
@@ -260,16 +664,36 @@ class Collapsible {
     const addListeners = () => {
       this.controlElement.addEventListener('keydown', this.keyDownHandler);
       this.controlElement.addEventListener('click', this.clickHandler);
+      window.addEventListener('hashchange', this.hashChangeHandler);
     };
 
     initControl();
+    this.persistence_ = this.getPersistence();
+    this.restoreState();
     initRegions();
     this.removeListeners();
     addListeners();
+
+    if(this.isExpanded) {
+      this.addDismissListeners();
+    }
+    this.expandFromHash();
   }
 
   downgrade() {
     this.removeListeners();
+    if(this.pendingExpand_) {
+      // Removes aria-busy from the regions, and a resolving promise does not expand the regions
+      this.cancelPendingExpand();
+    }
+
+    // Complete running transitions, leaving the regions in their final state
+    [...this.transitions_.keys()].forEach(region => {
+      this.cancelTransition(region);
+      if(!this.isExpanded) {
+        region.setAttribute('hidden', '');
+      }
+    });
   }
 
 }
@@ -290,6 +714,15 @@ class Collapsible {
   };
   window['MaterialExtCollapsible'] = MaterialExtCollapsible;
 
+  /**
+   * Register a storage adapter, e.g. backed by an application state store. Select the adapter
+   * with the 'data-persist-storage' attribute. Register adapters before the collapsibles are upgraded.
+   * The adapter is also available to accordions
+   * @param {string} name
+   * @param {Object} adapter with the methods getItem(key) and setItem(key, value)
+   */
+  MaterialExtCollapsible['registerStorageAdapter'] = registerStorageAdapter;
+
   /**
    * Initialize component
    */
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * Fetch content, e.g. from the 'data-src' URL of a lazy loaded accordion tabpanel or collapsible region
+ * @param {string} url
+ * @return {Promise<string>} resolves with the response text, rejects if window.fetch is not available,
+ * the request fails or the response status is not ok
+ */
+const fetchContent = url => {
+  if(!window.fetch) {
+    // No fetch polyfill, fail with the error state instead of throwing from the caller
+    return Promise.reject(new Error('window.fetch is not available'));
+  }
+  return window.fetch(url).then( response => {
+    if(!response.ok) {
+      throw new Error(`Could not load "${url}". Status: ${response.status}`);
+    }
+    return response.text();
+  });
+};
+
+/**
+ * Load the content of an element. The element has 'aria-busy' and the loading class while loading,
+ * and the error class if loading fails
+ * @param {HTMLElement} element
+ * @param {Function} load returns the content, or a Promise resolving to the content. Called at once,
+ * an error thrown by load rejects the returned Promise
+ * @param {string} loadingClass
+ * @param {string} errorClass
+ * @return {Promise} resolves with the content, or rejects with the load error
+ */
+const loadContent = (element, load, { loadingClass, errorClass }) => {
+  element.classList.remove(errorClass);
+  element.classList.add(loadingClass);
+  element.setAttribute('aria-busy', 'true');
+
+  const settle = () => {
+    element.removeAttribute('aria-busy');
+    element.classList.remove(loadingClass);
+  };
+
+  return new Promise( resolve => resolve(load()) ).then(
+    content => {
+      settle();
+      return content;
+    },
+    error => {
+      settle();
+      element.classList.add(errorClass);
+      throw error;
+    }
+  );
+};
+
+export { fetchContent, loadContent };
@@ -341,6 +341,81 @@ const isFocusable = (element) => {
   return false;
 };
 
+/**
+ * Check if the user prefers reduced motion
+ * @return {boolean} true if the 'prefers-reduced-motion: reduce' media query matches
+ */
+const prefersReducedMotion = () =>
+  typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+/**
+ * Get the transition duration of an element
+ * @param {HTMLElement} element
+ * @param {number} defaultDuration ms, returned if the duration can not be read from CSS
+ * @return {number} the duration in ms, first value of a comma separated list, e.g. '0.2s, 0s'
+ */
+const transitionDuration = (element, defaultDuration = 200) => {
+  const duration = (window.getComputedStyle(element).transitionDuration || '').split(',')[0].trim();
+  const n = parseFloat(duration);
+  if(isNaN(n)) {
+    return defaultDuration;
+  }
+  return /ms$/.test(duration) ? n : n * 1000;
+};
+
+/**
+ * Transition the height or width of an element, e.g. to expand or collapse it. The inline styles
+ * set by the transition are removed when it ends or is cancelled
+ * @param {HTMLElement} element
+ * @param {string} dimension 'height' or 'width'
+ * @param {number} from size in px
+ * @param {number} to size in px
+ * @param {Function} done called when the transition ends, not if it is cancelled
+ * @return {Function|null} a function that cancels the transition, or null if there is nothing to animate,
+ * or the user prefers reduced motion. In that case done is called before returning
+ */
+const transitionSize = (element, dimension, from, to, done) => {
+  const duration = prefersReducedMotion() ? 0 : transitionDuration(element);
+  if(from === to || duration <= 0) {
+    done();
+    return null;
+  }
+
+  let timer = null;
+
+  const transitionEndHandler = event => {
+    if(event.target === element && (!event.propertyName || event.propertyName === dimension)) {
+      end();
+    }
+  };
+
+  const cancel = () => {
+    clearTimeout(timer);
+    element.removeEventListener('transitionend', transitionEndHandler);
+    element.style[dimension] = '';
+    element.style.flexGrow = '';
+    element.style.overflow = '';
+  };
+
+  const end = () => {
+    cancel();
+    done();
+  };
+
+  element.style[dimension] = `${from}px`;
+  element.style.flexGrow = '0';
+  element.style.overflow = 'hidden';
+  element.getBoundingClientRect(); // Force reflow, so that the transition starts at "from"
+  element.style[dimension] = `${to}px`;
+
+  element.addEventListener('transitionend', transitionEndHandler);
+
+  // In case 'transitionend' never fires, e.g. if the element is removed from the DOM
+  timer = setTimeout(end, duration + 50);
+
+  return cancel;
+};
+
 
 /**
  * Get a list of offset parents for given element
@@ -412,7 +487,10 @@ export {
   isFocusable,
   isRectInsideWindowViewport,
   moveElements,
+  prefersReducedMotion,
   removeChildElements,
   tether,
+  transitionDuration,
+  transitionSize,
 };
 
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Storage adapters for persisted component state, e.g. the 'data-persist' attribute of the accordion and the
+ * collapsible. An adapter has the methods getItem(key) and setItem(key, value), as in the Web Storage API
+ */
+
+/**
+ * Get the parameters of the URL fragment. The fragment is shared by deep links and the 'hash' storage.
+ * A deep link is a parameter without a value, the id of an element. Persisted state is a 'key=value'
+ * parameter, e.g. '#tab-1&accordion-1=...'
+ * @return {Array<string>}
+ */
+const hashParams = () => window.location.hash.replace(/^#/, '').split('&').filter( p => p );
+
+/**
+ * Set the URL fragment to the given parameters. Replaces the current history entry, so the page
+ * does not scroll and no 'hashchange' event is emitted
+ * @param {Array<string>} params
+ */
+const setHashParams = params => {
+  const hash = `#${params.join('&')}`;
+  if(window.location.hash !== hash) {
+    if(window.history && window.history.replaceState) {
+      window.history.replaceState(window.history.state, '', hash);
+    }
+    else {
+      window.location.hash = hash;
+    }
+  }
+};
+
+/**
+ * Get the deep link of the URL fragment, i.e. the parameter without a value
+ * @return {string} the decoded id, or an empty string if the fragment has no deep link, or can not be decoded
+ */
+const hashId = () => {
+  const param = hashParams().find( p => p.indexOf('=') < 0 );
+  try {
+    return decodeURIComponent(param || '');
+  }
+  catch(e) {
+    return '';
+  }
+};
+
+/**
+ * Set the deep link of the URL fragment. State saved by the 'hash' storage is kept
+ * @param {string} id
+ */
+const setHashId = id => {
+  setHashParams([encodeURIComponent(id), ...hashParams().filter( p => p.indexOf('=') >= 0 )]);
+};
+
+const hashStorage = {
+  getItem: key => {
+    const prefix = `${encodeURIComponent(key)}=`;
+    const param = hashParams().find( p => p.indexOf(prefix) === 0 );
+    return param ? decodeURIComponent(param.slice(prefix.length)) : null;
+  },
+  setItem: (key, value) => {
+    const prefix = `${encodeURIComponent(key)}=`;
+    const params = hashParams().filter( p => p.indexOf(prefix) !== 0 );
+    params.push(`${prefix}${encodeURIComponent(value)}`);
+    setHashParams(params);
+  }
+};
+
+const storageAdapters = {
+  session: {
+    getItem: key => window.sessionStorage.getItem(key),
+    setItem: (key, value) => window.sessionStorage.setItem(key, value)
+  },
+  local: {
+    getItem: key => window.localStorage.getItem(key),
+    setItem: (key, value) => window.localStorage.setItem(key, value)
+  },
+  hash: hashStorage
+};
+
+/**
+ * Register a storage adapter, e.g. backed by an application state store. Register adapters
+ * before the components using them are upgraded
+ * @param {string} name
+ * @param {Object} adapter with the methods getItem(key) and setItem(key, value)
+ */
+const registerStorageAdapter = (name, adapter) => {
+  storageAdapters[name] = adapter;
+};
+
+/**
+ * Get a registered storage adapter
+ * @param {string} name 'session', 'local', 'hash' or the name of a registered adapter
+ * @return {Object}
+ * @throws {Error} if the storage is unknown
+ */
+const getStorageAdapter = name => {
+  const storage = storageAdapters[name];
+  if(!storage) {
+    throw new Error(`Unknown storage "${name}". Storage must be one of "${Object.keys(storageAdapters).join('", "')}"`);
+  }
+  return storage;
+};
+
+export { getStorageAdapter, hashId, registerStorageAdapter, setHashId };
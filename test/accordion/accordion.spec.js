@@ -18,6 +18,8 @@ import {
 const describe = require('mocha').describe;
 const before = require('mocha').before;
 const after = require('mocha').after;
+const beforeEach = require('mocha').beforeEach;
+const afterEach = require('mocha').afterEach;
 const it = require('mocha').it;
 const expect = require('chai').expect;
 const assert = require('chai').assert;
@@ -31,7 +33,7 @@ describe('MaterialExtAccordion', () => {
 
   const PANEL = 'mdlext-accordion__panel';
   const TAB = 'mdlext-accordion__tab';
-  //const TAB_CAPTION = 'mdlext-accordion__tab__caption';
+  const TAB_CAPTION = 'mdlext-accordion__tab__caption';
   const TABPANEL = 'mdlext-accordion__tabpanel';
   const RIPPLE = 'mdlext-accordion__tab--ripple';
   const ANIMATION = 'mdlext-accordion__tabpanel--animation';
@@ -180,6 +182,303 @@ describe('MaterialExtAccordion', () => {
   </li>
 </ul>`;
 
+  const accordion7_animation = `
+<ul id="accordion-7" class="mdlext-accordion mdlext-js-accordion mdlext-js-animation-effect mdlext-accordion--vertical">
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab" aria-expanded="true">
+      <span class="mdlext-accordion__tab__caption">Tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #2</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
+  const accordion8_lazy = `
+<ul id="accordion-8" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical">
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel" data-src="./panel-1.html">
+      <p>Loading ...</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #2</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+    </section>
+  </li>
+</ul>`;
+
+  const accordion9_persist = `
+<ul id="accordion-9" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical"
+  aria-multiselectable="true" data-persist="accordion-9" data-persist-storage="memory">
+  <li class="mdlext-accordion__panel">
+    <header id="tab-9-1" class="mdlext-accordion__tab" aria-expanded="true">
+      <span class="mdlext-accordion__tab__caption">Tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li id="panel-9-2" class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #2</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-9-3" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #3</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
+  const accordion10_responsive = `
+<ul id="accordion-10" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical"
+  data-config="{ 'breakpoints': { '600': 'horizontal', '960': 'tabs' } }">
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab" aria-expanded="true">
+      <span class="mdlext-accordion__tab__caption">Tab #2</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #3</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
+  const accordion11_deeplink = `
+<ul id="accordion-11" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical" aria-multiselectable="false">
+  <li class="mdlext-accordion__panel">
+    <header id="tab-11-1" class="mdlext-accordion__tab" aria-expanded="true">
+      <span class="mdlext-accordion__tab__caption">Tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #2</span>
+    </header>
+    <section id="tabpanel-11-2" class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-11-3" class="mdlext-accordion__tab" disabled>
+      <span class="mdlext-accordion__tab__caption">Tab #3</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
+  const accordion12_nested = `
+<ul id="accordion-12-1" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical" aria-multiselectable="true">
+  <li class="mdlext-accordion__panel">
+    <header id="tab-12-1-1" class="mdlext-accordion__tab" aria-expanded="true">
+      <span class="mdlext-accordion__tab__caption">Level 1, tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <ul id="accordion-12-2" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--horizontal" aria-multiselectable="true">
+        <li class="mdlext-accordion__panel">
+          <header id="tab-12-2-1" class="mdlext-accordion__tab">
+            <span class="mdlext-accordion__tab__caption">Level 2, tab #1</span>
+          </header>
+          <section class="mdlext-accordion__tabpanel">
+            <p>Some content</p>
+          </section>
+        </li>
+        <li class="mdlext-accordion__panel">
+          <header id="tab-12-2-2" class="mdlext-accordion__tab" aria-expanded="true">
+            <span class="mdlext-accordion__tab__caption">Level 2, tab #2</span>
+          </header>
+          <section class="mdlext-accordion__tabpanel">
+            <ul id="accordion-12-3" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical">
+              <li class="mdlext-accordion__panel">
+                <header id="tab-12-3-1" class="mdlext-accordion__tab">
+                  <span class="mdlext-accordion__tab__caption">Level 3, tab #1</span>
+                </header>
+                <section class="mdlext-accordion__tabpanel">
+                  <p>Some content</p>
+                </section>
+              </li>
+              <li class="mdlext-accordion__panel">
+                <header id="tab-12-3-2" class="mdlext-accordion__tab">
+                  <span class="mdlext-accordion__tab__caption">Level 3, tab #2</span>
+                </header>
+                <section class="mdlext-accordion__tabpanel">
+                  <p>Some content</p>
+                </section>
+              </li>
+              <li class="mdlext-accordion__panel">
+                <header id="tab-12-3-3" class="mdlext-accordion__tab">
+                  <span class="mdlext-accordion__tab__caption">Level 3, tab #3</span>
+                </header>
+                <section class="mdlext-accordion__tabpanel">
+                  <p>Some content</p>
+                </section>
+              </li>
+            </ul>
+          </section>
+        </li>
+        <li class="mdlext-accordion__panel">
+          <header id="tab-12-2-3" class="mdlext-accordion__tab">
+            <span class="mdlext-accordion__tab__caption">Level 2, tab #3</span>
+          </header>
+          <section class="mdlext-accordion__tabpanel">
+            <p>Some content</p>
+          </section>
+        </li>
+      </ul>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-12-1-2" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Level 1, tab #2</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-12-1-3" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Level 1, tab #3</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
+  const accordion13_sortable = `
+<ul id="accordion-13" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical mdlext-accordion--sortable">
+  <li class="mdlext-accordion__panel">
+    <header id="tab-13-1" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #1</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-13-2" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #2</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-13-3" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #3</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-13-4" class="mdlext-accordion__tab">
+      <span class="mdlext-accordion__tab__caption">Tab #4</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
+  const accordion14_typeahead = `
+<ul id="accordion-14" class="mdlext-accordion mdlext-js-accordion mdlext-accordion--vertical">
+  <li class="mdlext-accordion__panel">
+    <header id="tab-14-1" class="mdlext-accordion__tab">
+      <i class="material-icons">help</i>
+      <span class="mdlext-accordion__tab__caption">Account settings</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-14-2" class="mdlext-accordion__tab">
+      <i class="material-icons">help</i>
+      <span class="mdlext-accordion__tab__caption">Billing</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-14-3" class="mdlext-accordion__tab">
+      <i class="material-icons">help</i>
+      <span class="mdlext-accordion__tab__caption">Shipping</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-14-4" class="mdlext-accordion__tab">
+      <i class="material-icons">help</i>
+      <span class="mdlext-accordion__tab__caption">Shipping costs</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-14-5" class="mdlext-accordion__tab" disabled>
+      <i class="material-icons">help</i>
+      <span class="mdlext-accordion__tab__caption">Security</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+  <li class="mdlext-accordion__panel">
+    <header id="tab-14-6" class="mdlext-accordion__tab">
+      <i class="material-icons">help</i>
+      <span class="mdlext-accordion__tab__caption">Support</span>
+    </header>
+    <section class="mdlext-accordion__tabpanel">
+      <p>Some content</p>
+    </section>
+  </li>
+</ul>`;
+
   const panel_to_insert = `
   <li class="mdlext-accordion__panel">
     <header class="mdlext-accordion__tab" aria-expanded="true">
@@ -219,6 +518,8 @@ describe('MaterialExtAccordion', () => {
     const element = document.querySelector('#accordion-1');
     const methods = [
       'upgradeTab',
+      'registerLoader',
+      'setPanels',
       'command'
     ];
     methods.forEach( fn => {
@@ -568,6 +869,120 @@ describe('MaterialExtAccordion', () => {
     assert.isTrue(spy.called, 'Expected "toggle" event to fire');
   });
 
+  it('emits a cancelable "beforetoggle" event before tab state changes', () => {
+    const container = document.querySelector('#mount');
+    try {
+      container.insertAdjacentHTML('beforeend', accordion7_animation);
+      const element = document.querySelector('#accordion-7');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      const panel = element.querySelector(`.${PANEL}:first-child`);
+      const tab = panel.querySelector(`.${TAB}`);
+      const toggleSpy = sinon.spy();
+      element.addEventListener('toggle', toggleSpy);
+
+      let expanded;
+      const listener = event => {
+        assert.isTrue(event.cancelable, 'Expected "beforetoggle" event to be cancelable');
+        assert.equal(event.detail.state, 'close');
+        assert.equal(event.detail.tab, tab);
+        assert.equal(event.detail.tabpanel, panel.querySelector(`.${TABPANEL}`));
+        expanded = tab.getAttribute('aria-expanded');
+        event.preventDefault();
+      };
+      element.addEventListener('beforetoggle', listener);
+      element.MaterialExtAccordion.command( { action: 'close', target: tab } );
+      element.removeEventListener('beforetoggle', listener);
+
+      assert.equal(expanded, 'true', 'Expected "beforetoggle" event to fire before tab state changes');
+      assert.equal(tab.getAttribute('aria-expanded'), 'true', 'Expected tab to stay open when "beforetoggle" is cancelled');
+      assert.isFalse(toggleSpy.called, 'Expected no "toggle" event when "beforetoggle" is cancelled');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('does not open a tab if closing the open tab is cancelled and aria-multiselectable="false"', () => {
+    const container = document.querySelector('#mount');
+    try {
+      container.insertAdjacentHTML('beforeend', accordion7_animation);
+      const element = document.querySelector('#accordion-7');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      const tab1 = element.querySelector(`.${PANEL}:first-child .${TAB}`);
+      const tab2 = element.querySelector(`.${PANEL}:nth-child(2) .${TAB}`);
+
+      const listener = event => {
+        if(event.detail.state === 'close') {
+          event.preventDefault();
+        }
+      };
+      element.addEventListener('beforetoggle', listener);
+      element.MaterialExtAccordion.command( { action: 'open', target: tab2 } );
+      element.removeEventListener('beforetoggle', listener);
+
+      assert.equal(tab1.getAttribute('aria-expanded'), 'true');
+      assert.equal(tab2.getAttribute('aria-expanded'), 'false');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('keeps the open tab open if opening another tab is cancelled and aria-multiselectable="false"', () => {
+    const container = document.querySelector('#mount');
+    try {
+      container.insertAdjacentHTML('beforeend', accordion7_animation);
+      const element = document.querySelector('#accordion-7');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      const tab1 = element.querySelector(`.${PANEL}:first-child .${TAB}`);
+      const tab2 = element.querySelector(`.${PANEL}:nth-child(2) .${TAB}`);
+      const states = [];
+
+      const listener = event => {
+        states.push(event.detail.state);
+        if(event.detail.state === 'open') {
+          event.preventDefault();
+        }
+      };
+      element.addEventListener('beforetoggle', listener);
+      element.MaterialExtAccordion.command( { action: 'open', target: tab2 } );
+      element.removeEventListener('beforetoggle', listener);
+
+      assert.deepEqual(states, ['open'], 'Expected no "beforetoggle" for the open tab when opening is cancelled');
+      assert.equal(tab1.getAttribute('aria-expanded'), 'true', 'Expected previously open tab to stay open');
+      assert.equal(tab2.getAttribute('aria-expanded'), 'false');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('opens all tabs except those where "beforetoggle" is cancelled', () => {
+    const container = document.querySelector('#mount');
+    try {
+      container.insertAdjacentHTML('beforeend', accordion6_multiselectable);
+      const element = document.querySelector('#accordion-6');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      const tab4 = element.querySelector(`.${PANEL}:nth-child(4) .${TAB}`);
+
+      const listener = event => {
+        if(event.detail.tab === tab4) {
+          event.preventDefault();
+        }
+      };
+      element.addEventListener('beforetoggle', listener);
+      element.MaterialExtAccordion.command( { action: 'open' } );
+      element.removeEventListener('beforetoggle', listener);
+
+      const openTabs = [...element.querySelectorAll(`.${PANEL} .${TAB}`)].filter(tab => tab.getAttribute('aria-expanded') == 'true');
+      expect(openTabs).to.have.lengthOf(3, 'Expected three tabs to have aria-expanded="true"');
+      assert.equal(tab4.getAttribute('aria-expanded'), 'false');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
   it('listens to "command" custom events', () => {
     const accordion = document.querySelector('#accordion-1');
     const tab = accordion.querySelector(`.${PANEL}:first-child .${TAB}`);
@@ -700,6 +1115,1123 @@ describe('MaterialExtAccordion', () => {
     });
   });
 
+  describe('animated transitions', () => {
+    let container;
+    let element;
+    let spy;
+
+    // JsDom has no layout. An open tabpanel is 100px high, a horizontal panel is 300px wide when expanded
+    const layout = accordion => {
+      [...accordion.querySelectorAll(`.${PANEL}`)].forEach( panel => {
+        const tabpanel = panel.querySelector(`.${TABPANEL}`);
+        tabpanel.getBoundingClientRect = () => {
+          const height = tabpanel.hasAttribute('hidden') ? 0 : parseFloat(tabpanel.style.height || 100);
+          return { top: 0, left: 0, bottom: height, right: 100, width: 100, height: height };
+        };
+        panel.getBoundingClientRect = () => {
+          const width = parseFloat(panel.style.width || (panel.classList.contains('is-expanded') ? 300 : 56));
+          return { top: 0, left: 0, bottom: 100, right: width, width: width, height: 100 };
+        };
+      });
+    };
+
+    const transitionEnd = el => el.dispatchEvent(new Event('transitionend'));
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+      container.insertAdjacentHTML('beforeend', accordion7_animation);
+      element = document.querySelector('#accordion-7');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      layout(element);
+      spy = sinon.spy();
+      element.addEventListener('toggle', spy);
+    });
+
+    afterEach( () => {
+      element.removeEventListener('toggle', spy);
+      removeChildElements(container);
+    });
+
+    it('animates the tabpanel height when opening', () => {
+      const panel = element.querySelector(`.${PANEL}:nth-child(2)`);
+      const tabpanel = panel.querySelector(`.${TABPANEL}`);
+      element.MaterialExtAccordion.command( {action: 'open', target: panel} );
+
+      assert.equal(tabpanel.style.height, '100px', 'Expected tabpanel to animate to the height of its content');
+      assert.isFalse(tabpanel.hasAttribute('hidden'), 'Expected tabpanel to be visible while opening');
+      assert.isFalse(spy.calledWithMatch({ detail: { state: 'open' } }), 'Expected no "open" toggle event before transition completes');
+
+      transitionEnd(tabpanel);
+      assert.isTrue(spy.calledWithMatch({ detail: { state: 'open', tabpanel: tabpanel } }), 'Expected "open" toggle event when transition completes');
+      assert.equal(tabpanel.style.height, '', 'Expected inline height to be removed');
+    });
+
+    it('hides the tabpanel when the closing transition completes', () => {
+      const panel = element.querySelector(`.${PANEL}:first-child`);
+      const tab = panel.querySelector(`.${TAB}`);
+      const tabpanel = panel.querySelector(`.${TABPANEL}`);
+      element.MaterialExtAccordion.command( {action: 'close', target: panel} );
+
+      assert.equal(tab.getAttribute('aria-expanded'), 'false');
+      assert.equal(tabpanel.style.height, '0px');
+      assert.isFalse(tabpanel.hasAttribute('hidden'), 'Expected tabpanel to be visible while closing');
+      assert.isFalse(spy.called);
+
+      transitionEnd(tabpanel);
+      assert.isTrue(tabpanel.hasAttribute('hidden'), 'Expected tabpanel to be hidden when transition completes');
+      assert.isTrue(spy.calledOnce);
+      assert.equal(spy.firstCall.args[0].detail.state, 'close');
+    });
+
+    it('reverses when toggled during a transition', () => {
+      const panel = element.querySelector(`.${PANEL}:first-child`);
+      const tabpanel = panel.querySelector(`.${TABPANEL}`);
+      element.MaterialExtAccordion.command( {action: 'close', target: panel} );
+      tabpanel.style.height = '40px'; // Halfway
+      element.MaterialExtAccordion.command( {action: 'open', target: panel} );
+
+      assert.equal(tabpanel.style.height, '100px', 'Expected transition to reverse');
+      transitionEnd(tabpanel);
+      assert.isTrue(spy.calledOnce, 'Expected one toggle event');
+      assert.equal(spy.firstCall.args[0].detail.state, 'open');
+      assert.isFalse(tabpanel.hasAttribute('hidden'));
+    });
+
+    it('completes the transition if "transitionend" does not fire', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        const tabpanel = element.querySelector(`.${PANEL}:first-child .${TABPANEL}`);
+        element.MaterialExtAccordion.command( {action: 'close'} );
+        assert.isFalse(spy.called);
+        clock.tick(1000);
+        assert.isTrue(spy.calledOnce);
+        assert.isTrue(tabpanel.hasAttribute('hidden'));
+      }
+      finally {
+        clock.restore();
+      }
+    });
+
+    it('opens and closes instantly if the user prefers reduced motion', () => {
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+      try {
+        const panel = element.querySelector(`.${PANEL}:nth-child(2)`);
+        const tabpanel = panel.querySelector(`.${TABPANEL}`);
+        element.MaterialExtAccordion.command( {action: 'open', target: panel} );
+        assert.equal(tabpanel.style.height, '');
+        assert.equal(spy.callCount, 2, 'Expected "close" and "open" toggle events');
+      }
+      finally {
+        delete window.matchMedia;
+      }
+    });
+
+    it('animates the panel width in horizontal layout', () => {
+      element.classList.remove('mdlext-accordion--vertical');
+      element.classList.add('mdlext-accordion--horizontal');
+
+      const panel = element.querySelector(`.${PANEL}:nth-child(2)`);
+      element.MaterialExtAccordion.command( {action: 'open', target: panel} );
+      assert.equal(panel.style.width, '300px');
+
+      transitionEnd(panel);
+      assert.equal(panel.style.width, '');
+      assert.isTrue(spy.calledWithMatch({ detail: { state: 'open' } }));
+    });
+  });
+
+  describe('lazy loading', () => {
+    let container;
+    let element;
+    let panel1;
+    let panel2;
+
+    const panelLoaded = () => new Promise( resolve => {
+      const listener = event => {
+        element.removeEventListener('panelloaded', listener);
+        resolve(event);
+      };
+      element.addEventListener('panelloaded', listener);
+    });
+
+    // Resolves after pending promise callbacks
+    const settle = () => new Promise( resolve => setTimeout(resolve, 0) );
+
+    const response = (body, ok = true) => Promise.resolve({ ok: ok, status: ok ? 200 : 404, text: () => Promise.resolve(body) });
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+      container.insertAdjacentHTML('beforeend', accordion8_lazy);
+      element = document.querySelector('#accordion-8');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      panel1 = element.querySelector(`.${PANEL}:first-child`);
+      panel2 = element.querySelector(`.${PANEL}:nth-child(2)`);
+    });
+
+    afterEach( () => {
+      delete window.fetch;
+      removeChildElements(container);
+    });
+
+    it('loads "data-src" the first time the tab opens', () => {
+      window.fetch = sinon.spy( () => response('<p class="loaded">Loaded content</p>') );
+      const tabpanel = panel1.querySelector(`.${TABPANEL}`);
+      assert.isFalse(window.fetch.called, 'Expected content not to load before the tab opens');
+
+      const loaded = panelLoaded();
+      element.MaterialExtAccordion.command( { action: 'open', target: panel1 } );
+      assert.equal(tabpanel.getAttribute('aria-busy'), 'true', 'Expected tabpanel to have aria-busy="true" while loading');
+      assert.isTrue(tabpanel.classList.contains('mdlext-accordion__tabpanel--loading'), 'Expected tabpanel to have loading class');
+
+      return loaded.then( event => {
+        assert.isTrue(window.fetch.calledWith('./panel-1.html'));
+        assert.equal(event.detail.tabpanel, tabpanel);
+        assert.equal(event.detail.tab, panel1.querySelector(`.${TAB}`));
+        assert.isNotNull(tabpanel.querySelector('.loaded'), 'Expected content to be inserted');
+        assert.isFalse(tabpanel.hasAttribute('aria-busy'));
+        assert.isFalse(tabpanel.hasAttribute('data-src'));
+        assert.isFalse(tabpanel.classList.contains('mdlext-accordion__tabpanel--loading'));
+
+        element.MaterialExtAccordion.command( { action: 'close', target: panel1 } );
+        element.MaterialExtAccordion.command( { action: 'open', target: panel1 } );
+        assert.isTrue(window.fetch.calledOnce, 'Expected content to load only once');
+      });
+    });
+
+    it('upgrades loaded content', () => {
+      window.fetch = () => response('<button class="mdl-button mdl-js-button">A button</button>');
+      const loaded = panelLoaded();
+      element.MaterialExtAccordion.command( { action: 'open', target: panel1 } );
+
+      return loaded.then( () => {
+        const button = panel1.querySelector('.mdl-button');
+        assert.include(button.getAttribute('data-upgraded'), 'MaterialButton', 'Expected loaded content to be upgraded');
+      });
+    });
+
+    it('loads content from a registered loader', () => {
+      const loader = sinon.spy( () => Promise.resolve('<p class="loaded">From loader</p>') );
+      element.MaterialExtAccordion.registerLoader(panel2, loader);
+      assert.isFalse(loader.called, 'Expected loader not to run before the tab opens');
+
+      const loaded = panelLoaded();
+      element.MaterialExtAccordion.command( { action: 'open', target: panel2 } );
+
+      return loaded.then( () => {
+        const tabpanel = panel2.querySelector(`.${TABPANEL}`);
+        assert.isTrue(loader.calledWith(tabpanel), 'Expected loader to be called with the tabpanel');
+        assert.isNotNull(tabpanel.querySelector('.loaded'));
+      });
+    });
+
+    it('has an error state with retry', () => {
+      window.fetch = () => response('', false);
+      const tabpanel = panel1.querySelector(`.${TABPANEL}`);
+      element.MaterialExtAccordion.command( { action: 'open', target: panel1 } );
+
+      return settle()
+        .then( () => {
+          assert.isTrue(tabpanel.classList.contains('mdlext-accordion__tabpanel--error'), 'Expected tabpanel to have error class');
+          assert.isFalse(tabpanel.hasAttribute('aria-busy'));
+          const retry = tabpanel.querySelector('.mdlext-accordion__tabpanel__retry');
+          assert.isNotNull(retry, 'Expected a retry button');
+          assert.equal(retry.getAttribute('type'), 'button', 'Expected retry button to have type="button"');
+          assert.equal(retry.textContent, 'Retry');
+
+          window.fetch = () => response('<p class="loaded">Loaded content</p>');
+          const loaded = panelLoaded();
+          retry.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+          return loaded;
+        })
+        .then( () => {
+          assert.isFalse(tabpanel.classList.contains('mdlext-accordion__tabpanel--error'));
+          assert.isNull(tabpanel.querySelector('.mdlext-accordion__tabpanel__retry'));
+          assert.isNotNull(tabpanel.querySelector('.loaded'));
+        });
+    });
+
+    it('has configurable error messages', () => {
+      window.fetch = () => response('', false);
+      removeChildElements(container);
+      container.insertAdjacentHTML('beforeend', accordion8_lazy.replace('id="accordion-8"',
+        'id="accordion-8" data-config="{ \'messages\': { \'loadError\': \'Kunne ikke laste {src}\', \'retry\': \'Prøv igjen\' } }"'));
+      element = document.querySelector('#accordion-8');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      panel1 = element.querySelector(`.${PANEL}:first-child`);
+      const tabpanel = panel1.querySelector(`.${TABPANEL}`);
+      element.MaterialExtAccordion.command( { action: 'open', target: panel1 } );
+
+      return settle().then( () => {
+        const message = tabpanel.querySelector('.mdlext-accordion__tabpanel__error');
+        assert.equal(message.firstChild.textContent, 'Kunne ikke laste ./panel-1.html');
+        assert.equal(tabpanel.querySelector('.mdlext-accordion__tabpanel__retry').textContent, 'Prøv igjen');
+      });
+    });
+
+    it('has an error state if window.fetch is not available', () => {
+      delete window.fetch;
+      const tabpanel = panel1.querySelector(`.${TABPANEL}`);
+      assert.doesNotThrow( () => element.MaterialExtAccordion.command( { action: 'open', target: panel1 } ) );
+      assert.equal(panel1.querySelector(`.${TAB}`).getAttribute('aria-expanded'), 'true');
+
+      return settle().then( () => {
+        assert.isTrue(tabpanel.classList.contains('mdlext-accordion__tabpanel--error'), 'Expected tabpanel to have error class');
+        assert.isFalse(tabpanel.hasAttribute('aria-busy'));
+      });
+    });
+  });
+
+  describe('persistence', () => {
+    let container;
+    let store;
+
+    const expandedTabs = element => [...element.querySelectorAll(`.${TAB}[aria-expanded="true"]`)].map( tab => tab.id || tab.parentNode.id );
+
+    const upgrade = (fragment = accordion9_persist) => {
+      container.insertAdjacentHTML('beforeend', fragment);
+      const element = container.querySelector('.mdlext-accordion');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      return element;
+    };
+
+    before( () => {
+      window.MaterialExtAccordion.registerStorageAdapter('memory', {
+        getItem: key => store[key] === undefined ? null : store[key],
+        setItem: (key, value) => store[key] = value
+      });
+    });
+
+    beforeEach( () => {
+      store = {};
+      container = document.querySelector('#mount');
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+    });
+
+    it('saves open and selected tabs', () => {
+      const element = upgrade();
+      const panel2 = element.querySelector('#panel-9-2');
+      element.MaterialExtAccordion.command( { action: 'open', target: panel2 } );
+      panel2.querySelector(`.${TAB}`).dispatchEvent(new Event('focus'));
+
+      assert.deepEqual(JSON.parse(store['accordion-9']), { open: ['tab-9-1', 'panel-9-2'], selected: 'panel-9-2' });
+    });
+
+    it('restores open and selected tabs when upgraded', () => {
+      store['accordion-9'] = JSON.stringify({ open: ['panel-9-2', 'tab-9-3'], selected: 'tab-9-3' });
+      const element = upgrade();
+
+      assert.deepEqual(expandedTabs(element), ['panel-9-2', 'tab-9-3']);
+      assert.isTrue(element.querySelector('#tab-9-1').parentNode.querySelector(`.${TABPANEL}`).hasAttribute('hidden'),
+        'Expected tabpanel of a tab closed by restored state to be hidden');
+      assert.equal(element.querySelector(`.${TAB}[aria-selected="true"]`).id, 'tab-9-3');
+    });
+
+    it('opens one restored tab if not multiselectable', () => {
+      store['accordion-9'] = JSON.stringify({ open: ['panel-9-2', 'tab-9-3'], selected: null });
+      const element = upgrade(accordion9_persist.replace('aria-multiselectable="true"', 'aria-multiselectable="false"'));
+      assert.deepEqual(expandedTabs(element), ['panel-9-2']);
+    });
+
+    it('ignores tabs that no longer exist', () => {
+      store['accordion-9'] = JSON.stringify({ open: ['removed-tab', 'tab-9-3'], selected: 'removed-tab' });
+      let element = upgrade();
+      assert.deepEqual(expandedTabs(element), ['tab-9-3']);
+      removeChildElements(container);
+
+      store['accordion-9'] = JSON.stringify({ open: ['removed-tab'], selected: null });
+      element = upgrade();
+      assert.deepEqual(expandedTabs(element), ['tab-9-1'], 'Expected open tabs given in markup if no saved tabs exist');
+    });
+
+    it('uses sessionStorage by default', () => {
+      const sessionStorage = { setItem: sinon.spy(), getItem: sinon.spy( () => null ) };
+      const descriptor = Object.getOwnPropertyDescriptor(window, 'sessionStorage');
+      Object.defineProperty(window, 'sessionStorage', { configurable: true, value: sessionStorage });
+      try {
+        const element = upgrade(accordion9_persist.replace('data-persist-storage="memory"', ''));
+        assert.isTrue(sessionStorage.getItem.calledWith('accordion-9'));
+        element.MaterialExtAccordion.command( { action: 'close' } );
+        assert.isTrue(sessionStorage.setItem.calledWith('accordion-9'));
+      }
+      finally {
+        if(descriptor) {
+          Object.defineProperty(window, 'sessionStorage', descriptor);
+        }
+        else {
+          delete window.sessionStorage;
+        }
+      }
+    });
+
+    it('saves state in the URL hash', () => {
+      window.location.hash = '#other=1';
+      try {
+        const element = upgrade(accordion9_persist.replace('data-persist-storage="memory"', 'data-persist-storage="hash"'));
+        element.MaterialExtAccordion.command( { action: 'open', target: element.querySelector('#tab-9-3') } );
+        assert.include(window.location.hash, 'other=1', 'Expected other hash parameters to be kept');
+        assert.include(decodeURIComponent(window.location.hash), 'accordion-9={"open":["tab-9-1","tab-9-3"]');
+
+        removeChildElements(container);
+        const restored = upgrade(accordion9_persist.replace('data-persist-storage="memory"', 'data-persist-storage="hash"'));
+        assert.deepEqual(expandedTabs(restored), ['tab-9-1', 'tab-9-3']);
+      }
+      finally {
+        window.location.hash = '';
+      }
+    });
+
+    it('keeps the deep link and the saved state in the URL hash', () => {
+      window.location.hash = '';
+      try {
+        const element = upgrade(accordion9_persist
+          .replace('data-persist-storage="memory"', 'data-persist-storage="hash" data-config="{ \'updateHash\': true }"'));
+        element.MaterialExtAccordion.command( { action: 'open', target: element.querySelector('#tab-9-3') } );
+        assert.equal(window.location.hash.split('&')[0], '#tab-9-3', 'Expected the deep link to be kept');
+        assert.include(decodeURIComponent(window.location.hash), 'accordion-9={"open":["tab-9-1","tab-9-3"]', 'Expected the state to be kept');
+
+        element.MaterialExtAccordion.command( { action: 'close', target: element.querySelector('#tab-9-1') } );
+        assert.equal(window.location.hash.split('&')[0], '#tab-9-3');
+        assert.include(decodeURIComponent(window.location.hash), 'accordion-9={"open":["tab-9-3"]');
+
+        removeChildElements(container);
+        const restored = upgrade(accordion9_persist.replace('data-persist-storage="memory"', 'data-persist-storage="hash"'));
+        assert.deepEqual(expandedTabs(restored), ['tab-9-3']);
+        assert.equal(restored.querySelector('#tab-9-3').getAttribute('aria-selected'), 'true', 'Expected the deep linked tab to be selected');
+      }
+      finally {
+        window.location.hash = '';
+      }
+    });
+
+    it('throws an error if storage is unknown', () => {
+      expect( () => upgrade(accordion9_persist.replace('data-persist-storage="memory"', 'data-persist-storage="unknown"')) )
+        .to.throw(Error, /Unknown storage/);
+    });
+  });
+
+  describe('responsive layout', () => {
+    let container;
+    let element;
+    let realResizeObserver;
+    let observer;
+
+    // Calls the observer callback, as the ResizeObserver does when the accordion is resized
+    const resize = width => observer.callback([{ target: element, contentRect: { width: width, height: 300 } }]);
+
+    const keydown = (target, keyCode) =>
+      target.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: keyCode }));
+
+    const selectedTab = () => element.querySelector(`.${TAB}[aria-selected="true"]`);
+
+    beforeEach( () => {
+      realResizeObserver = window.ResizeObserver;
+      window.ResizeObserver = function(callback) {
+        observer = this;
+        this.callback = callback;
+        this.observe = sinon.spy();
+        this.disconnect = sinon.spy();
+      };
+      container = document.querySelector('#mount');
+      container.insertAdjacentHTML('beforeend', accordion10_responsive);
+      element = document.querySelector('#accordion-10');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+    });
+
+    afterEach( () => {
+      window.ResizeObserver = realResizeObserver;
+      removeChildElements(container);
+    });
+
+    it('observes its own width', () => {
+      assert.isTrue(observer.observe.calledWith(element), 'Expected accordion to be observed');
+      assert.isTrue(element.classList.contains('mdlext-accordion--vertical'), 'Expected layout given in markup below the smallest breakpoint');
+      assert.equal(element.getAttribute('aria-orientation'), 'vertical');
+    });
+
+    it('swaps layout at breakpoints, keeping open and selected tabs', () => {
+      const tab2 = element.querySelector(`.${PANEL}:nth-child(2) .${TAB}`);
+      tab2.dispatchEvent(new Event('focus'));
+
+      resize(700);
+      assert.isTrue(element.classList.contains('mdlext-accordion--horizontal'), 'Expected horizontal layout');
+      assert.isFalse(element.classList.contains('mdlext-accordion--vertical'));
+      assert.equal(element.getAttribute('aria-orientation'), 'horizontal');
+
+      resize(1200);
+      assert.isTrue(element.classList.contains('mdlext-accordion--tabs'), 'Expected tabs layout');
+      assert.isFalse(element.classList.contains('mdlext-accordion--horizontal'));
+
+      resize(320);
+      assert.isTrue(element.classList.contains('mdlext-accordion--vertical'), 'Expected vertical layout');
+      assert.isFalse(element.classList.contains('mdlext-accordion--tabs'));
+
+      assert.equal(tab2.getAttribute('aria-expanded'), 'true', 'Expected open tab to stay open');
+      assert.equal(selectedTab(), tab2, 'Expected selected tab to stay selected');
+    });
+
+    it('maps arrow keys to the layout', () => {
+      const tab1 = element.querySelector(`.${PANEL}:first-child .${TAB}`);
+      const tab2 = element.querySelector(`.${PANEL}:nth-child(2) .${TAB}`);
+      tab1.dispatchEvent(new Event('focus'));
+
+      keydown(tab1, VK_ARROW_RIGHT);
+      assert.equal(selectedTab(), tab1, 'Expected right arrow to be ignored in vertical layout');
+      keydown(tab1, VK_ARROW_DOWN);
+      assert.equal(selectedTab(), tab2, 'Expected down arrow to move to next tab in vertical layout');
+
+      resize(700);
+      keydown(tab2, VK_ARROW_UP);
+      assert.equal(selectedTab(), tab2, 'Expected up arrow to be ignored in horizontal layout');
+      keydown(tab2, VK_ARROW_LEFT);
+      assert.equal(selectedTab(), tab1, 'Expected left arrow to move to previous tab in horizontal layout');
+    });
+
+    it('disconnects the observer when downgraded', () => {
+      componentHandler.downgradeElements(element);
+      assert.isTrue(observer.disconnect.called);
+    });
+
+    it('destroys the observer of the ResizeObserver polyfill when downgraded', () => {
+      componentHandler.downgradeElements(element);
+      removeChildElements(container);
+
+      window.ResizeObserver = undefined;
+      requireUncached('../../src/utils/resize-observer');
+      const count = document.resizeObservers.length;
+
+      container.insertAdjacentHTML('beforeend', accordion10_responsive);
+      element = document.querySelector('#accordion-10');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      assert.equal(document.resizeObservers.length, count + 1, 'Expected an observer to be registered');
+
+      element.MaterialExtAccordion.init();
+      assert.equal(document.resizeObservers.length, count + 1, 'Expected the previous observer to be destroyed');
+
+      componentHandler.downgradeElements(element);
+      assert.equal(document.resizeObservers.length, count, 'Expected the observer to be destroyed when downgraded');
+    });
+
+    it('keeps one observer if init is called twice', () => {
+      const first = observer;
+      element.MaterialExtAccordion.init();
+      assert.notEqual(observer, first, 'Expected a new observer');
+      assert.isTrue(first.disconnect.calledOnce, 'Expected the previous observer to be disconnected');
+
+      componentHandler.downgradeElements(element);
+      assert.isTrue(observer.disconnect.calledOnce, 'Expected the new observer to be disconnected when downgraded');
+    });
+
+    it('throws an error if a breakpoint has an unknown layout', () => {
+      removeChildElements(container);
+      container.insertAdjacentHTML('beforeend', accordion10_responsive.replace(': \'tabs\'', ': \'grid\''));
+      expect( () => componentHandler.upgradeElement(document.querySelector('#accordion-10'), 'MaterialExtAccordion') )
+        .to.throw(Error);
+    });
+
+    it('has a tabs layout', () => {
+      removeChildElements(container);
+      container.insertAdjacentHTML('beforeend', accordion10_responsive
+        .replace('mdlext-accordion--vertical', 'mdlext-accordion--tabs')
+        .replace(/data-config="[^"]*"/, ''));
+      element = document.querySelector('#accordion-10');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      assert.isTrue(element.classList.contains('is-upgraded'));
+      assert.equal(element.getAttribute('aria-orientation'), 'horizontal');
+    });
+  });
+
+  describe('deep linking', () => {
+    let container;
+
+    const expandedTabs = element => [...element.querySelectorAll(`.${TAB}[aria-expanded="true"]`)].map( tab => tab.id || tab.parentNode.querySelector(`.${TABPANEL}`).id );
+
+    const upgrade = (fragment = accordion11_deeplink) => {
+      container.insertAdjacentHTML('beforeend', fragment);
+      const element = container.querySelector('.mdlext-accordion');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      return element;
+    };
+
+    const navigate = hash => {
+      window.location.hash = hash;
+      window.dispatchEvent(new Event('hashchange'));
+    };
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+      window.location.hash = '';
+    });
+
+    it('opens and selects the tab linked by the URL fragment when upgraded', () => {
+      window.location.hash = '#tabpanel-11-2';
+      const element = upgrade();
+      assert.deepEqual(expandedTabs(element), ['tabpanel-11-2'], 'Expected only the linked tab to be open');
+      assert.equal(element.querySelector(`.${TAB}[aria-selected="true"]`).parentNode.querySelector(`.${TABPANEL}`).id, 'tabpanel-11-2');
+    });
+
+    it('opens the tab linked by the URL fragment when the fragment changes', () => {
+      const element = upgrade();
+      const tab = element.querySelector('#tabpanel-11-2').parentNode.querySelector(`.${TAB}`);
+      tab.scrollIntoView = sinon.spy();
+
+      navigate('#tabpanel-11-2');
+      assert.deepEqual(expandedTabs(element), ['tabpanel-11-2']);
+      assert.equal(tab.getAttribute('aria-selected'), 'true');
+      assert.isTrue(tab.scrollIntoView.calledOnce, 'Expected linked tab to scroll into view');
+
+      navigate('#tab-11-1');
+      assert.deepEqual(expandedTabs(element), ['tab-11-1'], 'Expected previous tab to close if not multiselectable');
+    });
+
+    it('keeps other tabs open if multiselectable', () => {
+      const element = upgrade(accordion11_deeplink.replace('aria-multiselectable="false"', 'aria-multiselectable="true"'));
+      navigate('#tabpanel-11-2');
+      assert.deepEqual(expandedTabs(element), ['tab-11-1', 'tabpanel-11-2']);
+    });
+
+    it('does not open a disabled tab', () => {
+      const element = upgrade();
+      navigate('#tab-11-3');
+      assert.deepEqual(expandedTabs(element), ['tab-11-1']);
+      assert.isFalse(element.querySelector('#tab-11-3').hasAttribute('aria-selected'));
+    });
+
+    it('ignores a fragment that does not match any tab', () => {
+      const element = upgrade();
+      navigate('#no-such-tab');
+      assert.deepEqual(expandedTabs(element), ['tab-11-1']);
+    });
+
+    it('stops listening to "hashchange" when downgraded', () => {
+      const element = upgrade();
+      componentHandler.downgradeElements(element);
+      navigate('#tabpanel-11-2');
+      assert.deepEqual(expandedTabs(element), ['tab-11-1']);
+    });
+
+    it('listens once to "hashchange" if init is called twice', () => {
+      const element = upgrade();
+      element.MaterialExtAccordion.init();
+      const tab = element.querySelector('#tabpanel-11-2').parentNode.querySelector(`.${TAB}`);
+      tab.scrollIntoView = sinon.spy();
+
+      navigate('#tabpanel-11-2');
+      assert.isTrue(tab.scrollIntoView.calledOnce, 'Expected the fragment to be handled once');
+
+      componentHandler.downgradeElements(element);
+      navigate('#tab-11-1');
+      assert.deepEqual(expandedTabs(element), ['tabpanel-11-2'], 'Expected no "hashchange" listener after downgrade');
+    });
+
+    it('updates the URL fragment when a tab opens, if configured', () => {
+      let element = upgrade();
+      element.MaterialExtAccordion.command( { action: 'open', target: element.querySelector('#tabpanel-11-2') } );
+      assert.notEqual(window.location.hash, '#tabpanel-11-2', 'Expected URL fragment to be left as is by default');
+      removeChildElements(container);
+
+      element = upgrade(accordion11_deeplink.replace('aria-multiselectable', 'data-config="{ \'updateHash\': true }" aria-multiselectable'));
+      element.MaterialExtAccordion.command( { action: 'open', target: element.querySelector('#tabpanel-11-2') } );
+      assert.equal(window.location.hash, '#tabpanel-11-2');
+      element.MaterialExtAccordion.command( { action: 'open', target: element.querySelector('#tab-11-1') } );
+      assert.equal(window.location.hash, '#tab-11-1');
+    });
+  });
+
+  describe('nested accordions', () => {
+    let container;
+    let level1;
+    let level2;
+    let level3;
+
+    const tabsOf = element => [...element.children].map( panel => panel.querySelector(`.${TAB}`) );
+    const expandedTabs = element => tabsOf(element).filter( tab => tab.getAttribute('aria-expanded') === 'true' ).map( tab => tab.id );
+    const selectedTabs = element => tabsOf(element).filter( tab => tab.getAttribute('aria-selected') === 'true' ).map( tab => tab.id );
+
+    const keydown = (target, keyCode) =>
+      target.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: keyCode }));
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+      container.insertAdjacentHTML('beforeend', accordion12_nested);
+      [...container.querySelectorAll('.mdlext-js-accordion')].forEach( el => componentHandler.upgradeElement(el, 'MaterialExtAccordion') );
+      level1 = container.querySelector('#accordion-12-1');
+      level2 = container.querySelector('#accordion-12-2');
+      level3 = container.querySelector('#accordion-12-3');
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+      window.location.hash = '';
+    });
+
+    it('upgrades each level with its own panels', () => {
+      [level1, level2, level3].forEach( element => {
+        assert.isNotNull(element.MaterialExtAccordion, `Expected ${element.id} to be upgraded`);
+        assert.equal(element.getAttribute('role'), 'tablist');
+        tabsOf(element).forEach( tab => assert.equal(tab.getAttribute('role'), 'tab') );
+      });
+      assert.deepEqual(expandedTabs(level1), ['tab-12-1-1']);
+      assert.deepEqual(expandedTabs(level2), ['tab-12-2-2']);
+      assert.deepEqual(expandedTabs(level3), []);
+    });
+
+    it('toggles a nested tab without changing its parents', () => {
+      const tab = level3.querySelector('#tab-12-3-2');
+      tab.dispatchEvent(new Event('click'));
+
+      assert.deepEqual(expandedTabs(level3), ['tab-12-3-2']);
+      assert.deepEqual(expandedTabs(level2), ['tab-12-2-2']);
+      assert.deepEqual(expandedTabs(level1), ['tab-12-1-1']);
+    });
+
+    it('keeps the selected tab of each level', () => {
+      level1.querySelector('#tab-12-1-1').dispatchEvent(new Event('focus'));
+      level2.querySelector('#tab-12-2-2').dispatchEvent(new Event('focus'));
+      level3.querySelector('#tab-12-3-3').dispatchEvent(new Event('click'));
+
+      assert.deepEqual(selectedTabs(level1), ['tab-12-1-1']);
+      assert.deepEqual(selectedTabs(level2), ['tab-12-2-2']);
+      assert.deepEqual(selectedTabs(level3), ['tab-12-3-3']);
+    });
+
+    it('scopes keyboard navigation to a level', () => {
+      keydown(level1.querySelector('#tab-12-1-1'), VK_END);
+      assert.deepEqual(selectedTabs(level1), ['tab-12-1-3']);
+
+      keydown(level1.querySelector('#tab-12-1-3'), VK_ARROW_DOWN);
+      assert.deepEqual(selectedTabs(level1), ['tab-12-1-1'], 'Expected down arrow to wrap to first tab of level 1');
+
+      keydown(level2.querySelector('#tab-12-2-1'), VK_ARROW_LEFT);
+      assert.deepEqual(selectedTabs(level2), ['tab-12-2-3']);
+
+      keydown(level3.querySelector('#tab-12-3-3'), VK_HOME);
+      assert.deepEqual(selectedTabs(level3), ['tab-12-3-1']);
+
+      keydown(level3.querySelector('#tab-12-3-1'), VK_ARROW_UP);
+      assert.deepEqual(selectedTabs(level3), ['tab-12-3-3'], 'Expected up arrow to wrap to last tab of level 3');
+
+      keydown(level3.querySelector('#tab-12-3-3'), VK_ENTER);
+      assert.deepEqual(expandedTabs(level3), ['tab-12-3-3']);
+
+      assert.deepEqual(selectedTabs(level1), ['tab-12-1-1'], 'Expected level 1 selection to be kept');
+      assert.deepEqual(selectedTabs(level2), ['tab-12-2-3'], 'Expected level 2 selection to be kept');
+      assert.deepEqual(expandedTabs(level1), ['tab-12-1-1']);
+      assert.deepEqual(expandedTabs(level2), ['tab-12-2-2']);
+    });
+
+    it('scopes commands to a level', () => {
+      level3.MaterialExtAccordion.command( { action: 'open', target: level3.querySelector('#tab-12-3-1') } );
+      level1.MaterialExtAccordion.command( { action: 'close' } );
+
+      assert.deepEqual(expandedTabs(level1), []);
+      assert.deepEqual(expandedTabs(level2), ['tab-12-2-2']);
+      assert.deepEqual(expandedTabs(level3), ['tab-12-3-1']);
+
+      level2.MaterialExtAccordion.command( { action: 'open' } );
+      assert.deepEqual(expandedTabs(level2), ['tab-12-2-1', 'tab-12-2-2', 'tab-12-2-3']);
+      assert.deepEqual(expandedTabs(level1), []);
+      assert.deepEqual(expandedTabs(level3), ['tab-12-3-1']);
+    });
+
+    it('opens the parent panels of a deep linked nested tab', () => {
+      level1.MaterialExtAccordion.command( { action: 'close' } );
+      level2.MaterialExtAccordion.command( { action: 'close' } );
+
+      window.location.hash = '#tab-12-3-2';
+      window.dispatchEvent(new Event('hashchange'));
+
+      assert.deepEqual(expandedTabs(level1), ['tab-12-1-1']);
+      assert.deepEqual(expandedTabs(level2), ['tab-12-2-2']);
+      assert.deepEqual(expandedTabs(level3), ['tab-12-3-2']);
+    });
+
+    it('keeps the parent upgraded when a nested accordion is downgraded', () => {
+      componentHandler.downgradeElements(level3);
+
+      window.location.hash = '#tab-12-1-2';
+      window.dispatchEvent(new Event('hashchange'));
+      assert.deepEqual(expandedTabs(level1), ['tab-12-1-1', 'tab-12-1-2'], 'Expected level 1 to listen to "hashchange"');
+    });
+  });
+
+  describe('data-driven rendering', () => {
+    let container;
+
+    const model = () => [
+      { id: 'render-1', caption: 'First', icon: 'dns', content: '<p class="content-1">Content #1</p>', expanded: true },
+      { id: 'render-2', caption: 'Second', content: '<p class="content-2">Content #2</p>' },
+      { id: 'render-3', caption: 'Third', content: '<p>Content #3</p>', disabled: true }
+    ];
+
+    const tabIds = element => [...element.children].map( panel => panel.querySelector(`.${TAB}`).id );
+    const expandedTabs = element => [...element.querySelectorAll(`.${TAB}[aria-expanded="true"]`)].map( tab => tab.id );
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+    });
+
+    it('renders an accordion from a model', () => {
+      const element = window.MaterialExtAccordion.render(container, model());
+
+      assert.isTrue(element.classList.contains('mdlext-accordion'));
+      assert.isTrue(element.classList.contains('mdlext-accordion--vertical'));
+      assert.isTrue(element.classList.contains('is-upgraded'));
+      assert.equal(element.getAttribute('role'), 'tablist');
+      assert.deepEqual(tabIds(element), ['render-1', 'render-2', 'render-3']);
+
+      [...element.children].forEach( panel => expectedPanelAttributes(panel) );
+
+      const tab = element.querySelector('#render-1');
+      assert.equal(tab.querySelector(`.${TAB_CAPTION}`).textContent, 'First');
+      assert.equal(tab.querySelector('.material-icons').textContent, 'dns');
+      assert.isNull(element.querySelector('#render-2 .material-icons'), 'Expected no icon if model has no icon');
+      assert.isNotNull(tab.parentNode.querySelector(`.${TABPANEL} .content-1`));
+
+      assert.deepEqual(expandedTabs(element), ['render-1']);
+      assert.isTrue(element.querySelector('#render-3').hasAttribute('disabled'));
+      assert.equal(element.querySelector('#render-3').getAttribute('tabindex'), '-1');
+    });
+
+    it('renders into an existing accordion', () => {
+      container.insertAdjacentHTML('beforeend', accordion11_deeplink);
+      const element = container.querySelector('#accordion-11');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+
+      element.MaterialExtAccordion.setPanels(model());
+      assert.deepEqual(tabIds(element), ['render-1', 'render-2', 'render-3']);
+      assert.equal(element.querySelector('#render-1').parentNode.tagName.toLowerCase(), 'li', 'Expected list items in a list');
+      assert.equal(window.MaterialExtAccordion.render(container, model()), element, 'Expected render to reuse the accordion');
+    });
+
+    it('keeps open state and elements when re-rendered', () => {
+      const element = window.MaterialExtAccordion.render(container, model());
+      const panel2 = element.querySelector('#render-2').parentNode;
+      const content2 = panel2.querySelector('.content-2');
+      element.MaterialExtAccordion.command( { action: 'open', target: panel2 } );
+
+      const m = model();
+      m[1].caption = 'Second, updated';
+      m[0].icon = undefined;
+      window.MaterialExtAccordion.render(element, m);
+
+      assert.deepEqual(expandedTabs(element), ['render-2'], 'Expected open state to survive, not the "expanded" model property');
+      assert.equal(element.querySelector('#render-2').parentNode, panel2, 'Expected panel to be reused');
+      assert.equal(panel2.querySelector('.content-2'), content2, 'Expected unchanged content to be kept');
+      assert.equal(panel2.querySelector(`.${TAB_CAPTION}`).textContent, 'Second, updated');
+      assert.isNull(element.querySelector('#render-1 .material-icons'), 'Expected icon to be removed');
+    });
+
+    it('adds, removes and reorders panels', () => {
+      const element = window.MaterialExtAccordion.render(container, model());
+      const panel1 = element.querySelector('#render-1').parentNode;
+
+      const m = model();
+      window.MaterialExtAccordion.render(element, [m[2], { id: 'render-4', caption: 'Fourth', content: 'Content #4' }, m[0]]);
+
+      assert.deepEqual(tabIds(element), ['render-3', 'render-4', 'render-1']);
+      assert.equal(element.querySelector('#render-1').parentNode, panel1);
+      assert.equal(element.querySelector('#render-4').parentNode.querySelector(`.${TABPANEL}`).textContent, 'Content #4');
+    });
+
+    it('does not add listeners twice when re-rendered', () => {
+      const element = window.MaterialExtAccordion.render(container, model());
+      window.MaterialExtAccordion.render(element, model());
+      window.MaterialExtAccordion.render(element, model());
+
+      const spy = sinon.spy();
+      element.addEventListener('toggle', spy);
+      element.querySelector('#render-2').dispatchEvent(new Event('click'));
+      element.removeEventListener('toggle', spy);
+
+      assert.equal(spy.callCount, 2, 'Expected one "toggle" event for the closed tab and one for the opened tab');
+      assert.deepEqual(expandedTabs(element), ['render-2']);
+    });
+
+    it('enables and disables rendered panels', () => {
+      const element = window.MaterialExtAccordion.render(container, model());
+      const m = model();
+      m[2].disabled = false;
+      m[0].disabled = true;
+      window.MaterialExtAccordion.render(element, m);
+
+      assert.isFalse(element.querySelector('#render-3').hasAttribute('disabled'));
+      assert.equal(element.querySelector('#render-3').getAttribute('tabindex'), '0');
+      assert.isTrue(element.querySelector('#render-1').hasAttribute('disabled'));
+      assert.deepEqual(expandedTabs(element), [], 'Expected a disabled panel to close');
+    });
+
+    it('loads content from a model loader when the panel opens', () => {
+      const loader = sinon.spy( () => '<p class="loaded">Loaded</p>' );
+      const element = window.MaterialExtAccordion.render(container, [{ id: 'render-5', caption: 'Lazy', loader: loader }]);
+      assert.isTrue(loader.notCalled, 'Expected loader not to run before the panel opens');
+
+      return new Promise( resolve => {
+        element.addEventListener('panelloaded', resolve);
+        element.querySelector('#render-5').dispatchEvent(new Event('click'));
+      }).then( () => {
+        assert.isTrue(loader.calledOnce);
+        assert.isNotNull(element.querySelector('.loaded'));
+      });
+    });
+
+    it('throws an error if the model is invalid', () => {
+      expect( () => window.MaterialExtAccordion.render(container, {}) ).to.throw(Error);
+      expect( () => window.MaterialExtAccordion.render(container, [{ caption: 'No id' }]) ).to.throw(Error);
+    });
+  });
+
+  describe('sortable', () => {
+    let container;
+    let element;
+
+    const tabIds = () => [...element.children].map( panel => panel.querySelector(`.${TAB}`).id );
+    const selectedTabs = () => [...element.querySelectorAll(`.${TAB}[aria-selected="true"]`)].map( tab => tab.id );
+
+    const keydown = (target, keyCode, ctrlKey = true) =>
+      target.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: keyCode, ctrlKey: ctrlKey }));
+
+    const mouse = (target, type, clientY) =>
+      target.dispatchEvent(new MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientY: clientY }));
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+      container.insertAdjacentHTML('beforeend', accordion13_sortable);
+      element = container.querySelector('#accordion-13');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+
+      // Panels are 50px high, stacked from the top
+      [...element.children].forEach( (panel, i) => {
+        panel.getBoundingClientRect = () => ({ top: i * 50, bottom: i * 50 + 50, height: 50, left: 0, right: 300, width: 300 });
+      });
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+    });
+
+    it('moves a panel with Ctrl+Arrow', () => {
+      const spy = sinon.spy();
+      element.addEventListener('reorder', spy);
+
+      const tab = element.querySelector('#tab-13-1');
+      keydown(tab, VK_ARROW_DOWN);
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-1', 'tab-13-3', 'tab-13-4']);
+      assert.deepEqual(selectedTabs(), ['tab-13-1'], 'Expected moved tab to be selected');
+      assert.isTrue(spy.calledOnce, 'Expected "reorder" event to fire');
+      assert.equal(spy.firstCall.args[0].detail.tab, tab);
+      assert.equal(spy.firstCall.args[0].detail.oldIndex, 0);
+      assert.equal(spy.firstCall.args[0].detail.newIndex, 1);
+
+      keydown(tab, VK_ARROW_UP);
+      assert.deepEqual(tabIds(), ['tab-13-1', 'tab-13-2', 'tab-13-3', 'tab-13-4']);
+
+      keydown(tab, VK_ARROW_UP);
+      assert.deepEqual(tabIds(), ['tab-13-1', 'tab-13-2', 'tab-13-3', 'tab-13-4'], 'Expected first panel to stay first');
+      assert.equal(spy.callCount, 2);
+
+      keydown(tab, VK_ARROW_RIGHT);
+      assert.deepEqual(tabIds(), ['tab-13-1', 'tab-13-2', 'tab-13-3', 'tab-13-4'], 'Expected arrow keys across the layout to be ignored');
+      element.removeEventListener('reorder', spy);
+    });
+
+    it('moves a panel first and last with Ctrl+Home and Ctrl+End', () => {
+      keydown(element.querySelector('#tab-13-2'), VK_END);
+      assert.deepEqual(tabIds(), ['tab-13-1', 'tab-13-3', 'tab-13-4', 'tab-13-2']);
+
+      keydown(element.querySelector('#tab-13-4'), VK_HOME);
+      assert.deepEqual(tabIds(), ['tab-13-4', 'tab-13-1', 'tab-13-3', 'tab-13-2']);
+    });
+
+    it('announces the new position', () => {
+      keydown(element.querySelector('#tab-13-1'), VK_ARROW_DOWN);
+      const liveRegion = element.nextElementSibling;
+      assert.isNotNull(liveRegion, 'Expected a live region after the accordion');
+      assert.equal(liveRegion.getAttribute('aria-live'), 'polite');
+      assert.equal(liveRegion.textContent, 'Tab #1, moved to position 2 of 4');
+
+      componentHandler.downgradeElements(element);
+      assert.isNull(element.nextElementSibling, 'Expected live region to be removed when downgraded');
+    });
+
+    it('has a configurable announcement', () => {
+      removeChildElements(container);
+      container.insertAdjacentHTML('beforeend', accordion13_sortable.replace('id="accordion-13"',
+        'id="accordion-13" data-config="{ \'messages\': { \'moved\': \'{caption} flyttet til {position} av {count}\' } }"'));
+      element = container.querySelector('#accordion-13');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+
+      keydown(element.querySelector('#tab-13-1'), VK_ARROW_DOWN);
+      assert.equal(element.nextElementSibling.textContent, 'Tab #1 flyttet til 2 av 4');
+    });
+
+    it('navigates tabs in the new order after a move', () => {
+      keydown(element.querySelector('#tab-13-1'), VK_END);
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-3', 'tab-13-4', 'tab-13-1']);
+
+      keydown(element.querySelector('#tab-13-1'), VK_ARROW_UP, false);
+      assert.deepEqual(selectedTabs(), ['tab-13-4']);
+
+      keydown(element.querySelector('#tab-13-4'), VK_END, false);
+      assert.deepEqual(selectedTabs(), ['tab-13-1']);
+
+      keydown(element.querySelector('#tab-13-1'), VK_ARROW_DOWN, false);
+      assert.deepEqual(selectedTabs(), ['tab-13-2'], 'Expected down arrow to wrap to the new first tab');
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-3', 'tab-13-4', 'tab-13-1'], 'Expected arrow keys without Ctrl not to move panels');
+    });
+
+    it('does not move panels if not sortable', () => {
+      element.classList.remove('mdlext-accordion--sortable');
+      keydown(element.querySelector('#tab-13-1'), VK_ARROW_DOWN);
+      mouse(element.querySelector('#tab-13-1'), 'mousedown', 25);
+      mouse(window, 'mousemove', 130);
+      mouse(window, 'mouseup', 130);
+      assert.deepEqual(tabIds(), ['tab-13-1', 'tab-13-2', 'tab-13-3', 'tab-13-4']);
+    });
+
+    it('moves a panel by dragging the tab', () => {
+      const spy = sinon.spy();
+      element.addEventListener('reorder', spy);
+
+      const tab = element.querySelector('#tab-13-1');
+      mouse(tab, 'mousedown', 25);
+      mouse(window, 'mousemove', 90);
+      assert.isTrue(tab.parentNode.classList.contains('mdlext-accordion__panel--dragging'));
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-1', 'tab-13-3', 'tab-13-4'], 'Expected panel to move while dragging');
+
+      mouse(window, 'mousemove', 130);
+      mouse(window, 'mouseup', 130);
+      tab.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-3', 'tab-13-1', 'tab-13-4']);
+      assert.isFalse(tab.parentNode.classList.contains('mdlext-accordion__panel--dragging'));
+      assert.equal(tab.getAttribute('aria-expanded'), 'false', 'Expected the click ending a drag not to toggle the tab');
+      assert.isTrue(spy.calledOnce, 'Expected one "reorder" event when the drag ends');
+      assert.equal(spy.firstCall.args[0].detail.oldIndex, 0);
+      assert.equal(spy.firstCall.args[0].detail.newIndex, 2);
+      element.removeEventListener('reorder', spy);
+    });
+
+    it('listens once to drag events if init is called twice, and not after downgrade', () => {
+      const spy = sinon.spy();
+      element.addEventListener('reorder', spy);
+      element.MaterialExtAccordion.init();
+
+      const tab = element.querySelector('#tab-13-1');
+      mouse(tab, 'mousedown', 25);
+      mouse(window, 'mousemove', 90);
+      mouse(window, 'mouseup', 90);
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-1', 'tab-13-3', 'tab-13-4']);
+      assert.isTrue(spy.calledOnce, 'Expected one "reorder" event');
+
+      componentHandler.downgradeElements(element);
+      mouse(tab, 'mousedown', 75);
+      mouse(window, 'mousemove', 140);
+      mouse(window, 'mouseup', 140);
+      assert.deepEqual(tabIds(), ['tab-13-2', 'tab-13-1', 'tab-13-3', 'tab-13-4'], 'Expected no drag after downgrade');
+      element.removeEventListener('reorder', spy);
+    });
+
+    it('toggles the tab if the pointer barely moves', () => {
+      const spy = sinon.spy();
+      element.addEventListener('reorder', spy);
+
+      const tab = element.querySelector('#tab-13-2');
+      mouse(tab, 'mousedown', 75);
+      mouse(window, 'mousemove', 77);
+      mouse(window, 'mouseup', 77);
+      tab.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+      assert.deepEqual(tabIds(), ['tab-13-1', 'tab-13-2', 'tab-13-3', 'tab-13-4']);
+      assert.equal(tab.getAttribute('aria-expanded'), 'true');
+      assert.isTrue(spy.notCalled);
+      element.removeEventListener('reorder', spy);
+    });
+  });
+
+  describe('type-ahead', () => {
+    let container;
+    let element;
+
+    const selectedTab = () => element.querySelector(`.${TAB}[aria-selected="true"]`);
+
+    // Types into the selected tab, as the focused tab does
+    const type = text => text.split('').forEach( key => {
+      const target = selectedTab() || element.querySelector(`.${TAB}`);
+      target.dispatchEvent(new KeyboardEvent('keydown', {
+        bubbles: true, cancelable: true, key: key, keyCode: key === ' ' ? VK_SPACE : key.toUpperCase().charCodeAt(0)
+      }));
+    });
+
+    beforeEach( () => {
+      container = document.querySelector('#mount');
+      container.insertAdjacentHTML('beforeend', accordion14_typeahead);
+      element = container.querySelector('#accordion-14');
+      componentHandler.upgradeElement(element, 'MaterialExtAccordion');
+      element.querySelector('#tab-14-1').dispatchEvent(new Event('focus'));
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+    });
+
+    it('moves to the next tab whose caption starts with the typed character', () => {
+      type('b');
+      assert.equal(selectedTab().id, 'tab-14-2');
+      assert.isNull(element.querySelector(`.${TAB}[aria-expanded="true"]`), 'Expected type-ahead not to open tabs');
+    });
+
+    it('cycles through tabs starting with a repeated character, skipping disabled tabs', () => {
+      type('s');
+      assert.equal(selectedTab().id, 'tab-14-3');
+      type('s');
+      assert.equal(selectedTab().id, 'tab-14-4');
+      type('s');
+      assert.equal(selectedTab().id, 'tab-14-6', 'Expected disabled tab to be skipped');
+      type('s');
+      assert.equal(selectedTab().id, 'tab-14-3', 'Expected search to wrap to the first tab');
+    });
+
+    it('matches a typed prefix, including spaces', () => {
+      type('shipping c');
+      assert.equal(selectedTab().id, 'tab-14-4');
+      assert.isNull(element.querySelector(`.${TAB}[aria-expanded="true"]`), 'Expected space in a prefix not to toggle the tab');
+    });
+
+    it('does not move to a disabled tab', () => {
+      type('se');
+      assert.equal(selectedTab().id, 'tab-14-3', 'Expected focus to stay if only a disabled tab matches');
+    });
+
+    it('resets the prefix when the user pauses typing', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        type('s');
+        clock.tick(600);
+        type('a');
+        assert.equal(selectedTab().id, 'tab-14-1');
+
+        clock.tick(600);
+        type(' ');
+        assert.equal(element.querySelector('#tab-14-1').getAttribute('aria-expanded'), 'true',
+          'Expected space to toggle the tab when the user is not typing');
+      }
+      finally {
+        clock.restore();
+      }
+    });
+  });
+
   /*
   //
   // Can not test this. In JsDom, offsetWidth and offsetHeight properties does not work.
@@ -126,6 +126,129 @@ describe('MaterialExtCarousel', () => {
   </li>
 </ul>`;
 
+  const infinite_loop_fragment = `
+<ul id="carousel-6" class="mdlext-carousel mdlext-js-carousel mdl-js-ripple-effect mdl-js-ripple-effect--ignore-events"
+  data-config="{ 'loop': 'infinite' }">
+  <li id="slide-6-1" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li id="slide-6-2" class="mdlext-carousel__slide">
+    <figure>
+      <a href="#">
+        <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+      </a>
+    </figure>
+  </li>
+  <li id="slide-6-3" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+</ul>`;
+
+  const controls_fragment = `
+<ul id="carousel-7" class="mdlext-carousel mdlext-js-carousel" data-config="{ 'controls': true }">
+  <li id="slide-7-1" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li id="slide-7-2" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li id="slide-7-3" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+</ul>`;
+
+  const snap_fragment = `
+<ul id="carousel-8" class="mdlext-carousel mdlext-js-carousel" data-config="{ 'snap': 'slide' }">
+  <li class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+</ul>`;
+
+  const vertical_fragment = `
+<ul id="carousel-9" class="mdlext-carousel mdlext-js-carousel" data-config="{ 'orientation': 'vertical' }">
+  <li id="slide-9-1" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li id="slide-9-2" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li id="slide-9-3" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+  <li id="slide-9-4" class="mdlext-carousel__slide">
+    <figure>
+      <img src="./smiley.jpg" alt="smiley" title="Smile :-)"/>
+    </figure>
+  </li>
+</ul>`;
+
+  const lazy_fragment = `
+<ul id="carousel-10" class="mdlext-carousel mdlext-js-carousel mdl-js-ripple-effect mdl-js-ripple-effect--ignore-events">
+  <li id="slide-10-1" class="mdlext-carousel__slide">
+    <figure>
+      <img data-src="./smiley-1.jpg" data-srcset="./smiley-1@2x.jpg 2x" alt="smiley" title="Smile 1"/>
+    </figure>
+  </li>
+  <li id="slide-10-2" class="mdlext-carousel__slide">
+    <figure>
+      <img data-src="./smiley-2.jpg" data-srcset="./smiley-2@2x.jpg 2x" alt="smiley" title="Smile 2"/>
+    </figure>
+  </li>
+  <li id="slide-10-3" class="mdlext-carousel__slide">
+    <figure>
+      <img data-src="./smiley-3.jpg" data-srcset="./smiley-3@2x.jpg 2x" alt="smiley" title="Smile 3"/>
+    </figure>
+  </li>
+  <li id="slide-10-4" class="mdlext-carousel__slide">
+    <figure>
+      <img data-src="./smiley-4.jpg" data-srcset="./smiley-4@2x.jpg 2x" alt="smiley" title="Smile 4"/>
+    </figure>
+  </li>
+  <li id="slide-10-5" class="mdlext-carousel__slide">
+    <figure>
+      <img data-src="./smiley-5.jpg" data-srcset="./smiley-5@2x.jpg 2x" alt="smiley" title="Smile 5"/>
+    </figure>
+  </li>
+  <li id="slide-10-6" class="mdlext-carousel__slide">
+    <figure>
+      <img data-src="./smiley-6.jpg" data-srcset="./smiley-6@2x.jpg 2x" alt="smiley" title="Smile 6"/>
+    </figure>
+  </li>
+</ul>`;
+
   const carousel_slide_fragment = `
 <li class="mdlext-carousel__slide">
   <figure>
@@ -192,7 +315,16 @@ describe('MaterialExtCarousel', () => {
     const methods = [
       'stopAnimation',
       'upgradeSlides',
-      'getConfig'
+      'getConfig',
+      'setConfig',
+      'goTo',
+      'next',
+      'prev',
+      'play',
+      'pause',
+      'isPlaying',
+      'getSelectedIndex',
+      'getSlides'
     ];
     methods.forEach((method) => {
       expect(el.MaterialExtCarousel[method]).to.be.a('function');
@@ -622,6 +754,1418 @@ describe('MaterialExtCarousel', () => {
     mockRaf.step(100);
   });
 
+  it('suspends and resumes slideshow when page visibility changes', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', fragment);
+
+    let hidden = false;
+    Object.defineProperty(document, 'hidden', {
+      configurable: true,
+      get: () => hidden
+    });
+
+    const element = document.querySelector('#carousel-2');
+    const commands = [];
+    const selectListener = event => commands.push(event.detail.command);
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.addEventListener('select', selectListener);
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play', interval: 100 } } ));
+      const c = element.MaterialExtCarousel.getConfig();
+      assert.isTrue(c.animationLoop.started, 'Expected slideshow to run');
+      const selectedSlide = element.querySelector('.mdlext-carousel__slide[aria-selected]');
+
+      hidden = true;
+      document.dispatchEvent(new Event('visibilitychange'));
+      assert.isFalse(c.animationLoop.started, 'Expected slideshow to be suspended when page is hidden');
+      expect(commands).to.include('suspend');
+
+      mockRaf.step(20);
+      assert.equal(element.querySelector('.mdlext-carousel__slide[aria-selected]'), selectedSlide,
+        'Expected selected slide to be kept while slideshow is suspended');
+
+      hidden = false;
+      document.dispatchEvent(new Event('visibilitychange'));
+      assert.isTrue(c.animationLoop.started, 'Expected slideshow to resume when page is visible');
+      expect(commands).to.include('resume');
+      assert.equal(element.querySelector('.mdlext-carousel__slide[aria-selected]'), selectedSlide,
+        'Expected slideshow to resume from selected slide');
+    }
+    finally {
+      element.removeEventListener('select', selectListener);
+      componentHandler.downgradeElements(element);
+      delete document.hidden;
+      removeChildElements(container);
+    }
+  });
+
+  it('keeps the scroll direction when a scroll slideshow is suspended and resumed', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', fragment);
+
+    let hidden = false;
+    Object.defineProperty(document, 'hidden', {
+      configurable: true,
+      get: () => hidden
+    });
+
+    const element = document.querySelector('#carousel-2');
+    let scrollLeft = 200;
+    Object.defineProperty(element, 'clientWidth', { configurable: true, get: () => 100 });
+    Object.defineProperty(element, 'scrollWidth', { configurable: true, get: () => 300 });
+    Object.defineProperty(element, 'scrollLeft', { configurable: true, get: () => scrollLeft, set: value => scrollLeft = value });
+
+    const clock = sinon.useFakeTimers(Date.now());
+    const run = ms => {
+      for(let t = 0; t < ms; t += 20) {
+        clock.tick(20);
+        mockRaf.step(1);
+      }
+    };
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.MaterialExtCarousel.play({ type: 'scroll', interval: 1000 });
+
+      run(1100);
+      assert.equal(Math.round(scrollLeft), 100, 'Expected slideshow to scroll back from the end');
+
+      hidden = true;
+      document.dispatchEvent(new Event('visibilitychange'));
+      assert.isTrue(element.MaterialExtCarousel.isPlaying(), 'Expected slideshow to be suspended');
+      hidden = false;
+      document.dispatchEvent(new Event('visibilitychange'));
+      run(1100);
+      assert.equal(Math.round(scrollLeft), 0, 'Expected slideshow to keep scrolling back after resume');
+    }
+    finally {
+      element.MaterialExtCarousel.stopAnimation();
+      clock.restore();
+      componentHandler.downgradeElements(element);
+      delete document.hidden;
+      removeChildElements(container);
+    }
+  });
+
+  it('suspends slideshow when carousel is outside the browser viewport', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', fragment);
+
+    let observerCallback;
+    const disconnectSpy = sinon.spy();
+    window.IntersectionObserver = function(callback) {
+      observerCallback = callback;
+      this.observe = () => {};
+      this.disconnect = disconnectSpy;
+    };
+
+    const element = document.querySelector('#carousel-2');
+    const spy = sinon.spy();
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      assert.isFunction(observerCallback, 'Expected carousel to observe intersection with browser viewport');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play', interval: 100 } } ));
+      const c = element.MaterialExtCarousel.getConfig();
+
+      element.addEventListener('select', spy);
+      observerCallback([{ isIntersecting: false, intersectionRatio: 0 }]);
+      assert.isFalse(c.animationLoop.started, 'Expected slideshow to be suspended');
+      assert.equal(spy.lastCall.args[0].detail.command, 'suspend');
+
+      observerCallback([{ isIntersecting: true, intersectionRatio: 0.5 }]);
+      assert.isTrue(c.animationLoop.started, 'Expected slideshow to resume');
+      assert.equal(spy.lastCall.args[0].detail.command, 'resume');
+
+      componentHandler.downgradeElements(element);
+      assert.isTrue(disconnectSpy.called, 'Expected intersection observer to disconnect after downgrade');
+    }
+    finally {
+      element.removeEventListener('select', spy);
+      delete window.IntersectionObserver;
+      removeChildElements(container);
+    }
+  });
+
+  it('does not resume a slideshow paused by the user', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', fragment);
+
+    let hidden = false;
+    Object.defineProperty(document, 'hidden', {
+      configurable: true,
+      get: () => hidden
+    });
+
+    const element = document.querySelector('#carousel-2');
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play', interval: 100 } } ));
+
+      hidden = true;
+      document.dispatchEvent(new Event('visibilitychange'));
+
+      const spy = sinon.spy();
+      element.addEventListener('select', spy);
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'pause' } } ));
+      element.removeEventListener('select', spy);
+      assert.equal(spy.lastCall.args[0].detail.command, 'pause');
+
+      hidden = false;
+      document.dispatchEvent(new Event('visibilitychange'));
+      assert.isFalse(element.MaterialExtCarousel.getConfig().animationLoop.started, 'Expected slideshow to stay paused');
+    }
+    finally {
+      componentHandler.downgradeElements(element);
+      delete document.hidden;
+      removeChildElements(container);
+    }
+  });
+
+  it('appends hidden clones of the slides when loop is "infinite"', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', infinite_loop_fragment);
+
+    try {
+      const element = document.querySelector('#carousel-6');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      expect(element.MaterialExtCarousel.getConfig().loop).to.equal('infinite');
+
+      const slides = [...element.querySelectorAll('.mdlext-carousel__slide:not(.mdlext-carousel__slide--clone)')];
+      const clones = [...element.querySelectorAll('.mdlext-carousel__slide--clone')];
+      assert.equal(clones.length, slides.length, 'Expected one clone per slide');
+      assert.equal(element.lastElementChild, clones[clones.length-1], 'Expected clones to be appended after the slides');
+
+      clones.forEach( clone => {
+        assert.equal(clone.getAttribute('aria-hidden'), 'true', 'Expected clone to be hidden from assistive technology');
+        assert.isFalse(clone.hasAttribute('role'), 'Expected clone not to have a role');
+        assert.isFalse(clone.hasAttribute('tabindex'), 'Expected clone not to be focusable');
+        assert.isFalse(clone.hasAttribute('id'), 'Expected clone not to duplicate id');
+        assert.isNotNull(clone.querySelector('.mdlext-carousel__slide__ripple-container'), 'Expected clone to have a ripple');
+      });
+      assert.equal(clones[1].querySelector('a').getAttribute('tabindex'), '-1', 'Expected focusable elements in clone to have tabindex="-1"');
+
+      // Upgrading slides must not accumulate clones
+      element.insertAdjacentHTML('beforeend', carousel_slide_fragment);
+      element.MaterialExtCarousel.upgradeSlides();
+      assert.equal(element.querySelectorAll('.mdlext-carousel__slide--clone').length, slides.length + 1, 'Expected clones to be rebuilt');
+      assert.equal(element.querySelectorAll('.mdlext-carousel__slide:not(.mdlext-carousel__slide--clone)').length, slides.length + 1);
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('wraps "next" and "prev" commands when loop is "infinite"', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', infinite_loop_fragment);
+
+    const element = document.querySelector('#carousel-6');
+    const spy = sinon.spy();
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.addEventListener('select', spy);
+
+      element.querySelector('#slide-6-3').setAttribute('aria-selected', '');
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'next' } } ));
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-6-1'), 'Expected "next" to wrap to first slide');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'prev' } } ));
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-6-3'), 'Expected "prev" to wrap to last slide');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'last' } } ));
+      mockRaf.step(100);
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-6-3'), 'Expected "last" to select last slide, not a clone');
+    }
+    finally {
+      element.removeEventListener('select', spy);
+      removeChildElements(container);
+    }
+  });
+
+  it('wraps arrow keys, but not tab, when loop is "infinite"', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', infinite_loop_fragment);
+
+    const element = document.querySelector('#carousel-6');
+    const spy = sinon.spy();
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.addEventListener('select', spy);
+
+      const last = element.querySelector('#slide-6-3');
+      last.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_ARROW_RIGHT }));
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-6-1'), 'Expected right arrow to wrap to first slide');
+
+      element.querySelector('#slide-6-1').dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_ARROW_LEFT }));
+      assert.equal(spy.lastCall.args[0].detail.source, last, 'Expected left arrow to wrap to last slide');
+
+      spy.reset();
+      const evt = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_TAB });
+      last.dispatchEvent(evt);
+      assert.isFalse(spy.called, 'Expected tab on last slide not to wrap');
+      assert.isFalse(evt.defaultPrevented, 'Expected tab on last slide to move focus out of carousel');
+    }
+    finally {
+      element.removeEventListener('select', spy);
+      removeChildElements(container);
+    }
+  });
+
+  it('wraps slideshow when loop is "infinite"', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', infinite_loop_fragment);
+
+    const element = document.querySelector('#carousel-6');
+    const sources = [];
+    const selectListener = event => sources.push(event.detail.source);
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.querySelector('#slide-6-3').setAttribute('aria-selected', '');
+      element.addEventListener('select', selectListener);
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play', interval: 100 } } ));
+      element.MaterialExtCarousel.stopAnimation();
+
+      assert.equal(sources[0], element.querySelector('#slide-6-1'), 'Expected slideshow to wrap to first slide');
+      sources.forEach( source => {
+        assert.isFalse(source.classList.contains('mdlext-carousel__slide--clone'), 'Expected "select" event never to expose a clone');
+      });
+    }
+    finally {
+      element.removeEventListener('select', selectListener);
+      removeChildElements(container);
+    }
+  });
+
+  it('emits a "select" event with the original slide when a clone is clicked', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', infinite_loop_fragment);
+
+    const element = document.querySelector('#carousel-6');
+    const spy = sinon.spy();
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.addEventListener('select', spy);
+
+      const img = element.querySelectorAll('.mdlext-carousel__slide--clone')[1].querySelector('img');
+      img.dispatchEvent(new MouseEvent('mousedown', { view: window, bubbles: true, cancelable: true, clientX: 10, clientY: 0 }));
+      window.dispatchEvent(new MouseEvent('mouseup', { view: window, bubbles: true, cancelable: true, clientX: 10, clientY: 0 }));
+
+      assert.isTrue(spy.called, 'Expected "select" event to fire');
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-6-2'), 'Expected "select" event to expose the original slide');
+    }
+    finally {
+      element.removeEventListener('select', spy);
+      removeChildElements(container);
+    }
+  });
+
+  it('renders controls after the carousel when "controls" is true', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', controls_fragment);
+
+    try {
+      const element = document.querySelector('#carousel-7');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+
+      const controls = element.nextElementSibling;
+      assert.isNotNull(controls, 'Expected controls to be rendered');
+      assert.isTrue(controls.classList.contains('mdlext-carousel__controls'), 'Expected controls to have class "mdlext-carousel__controls"');
+
+      const prev = controls.querySelector('.mdlext-carousel__control--prev');
+      const next = controls.querySelector('.mdlext-carousel__control--next');
+      const play = controls.querySelector('.mdlext-carousel__control--play');
+      [prev, next, play].forEach( button => {
+        assert.isNotNull(button, 'Expected control button to exist');
+        assert.isTrue(button.hasAttribute('aria-label'), 'Expected control button to have an "aria-label"');
+        assert.equal(button.getAttribute('aria-controls'), 'carousel-7', 'Expected control button to have "aria-controls"');
+      });
+
+      const indicators = [...controls.querySelectorAll('.mdlext-carousel__indicator')];
+      assert.equal(indicators.length, 3, 'Expected one indicator per slide');
+      assert.equal(indicators[0].getAttribute('aria-label'), 'Slide 1 of 3');
+      assert.equal(controls.querySelector('.mdlext-carousel__indicators').getAttribute('role'), 'group');
+
+      componentHandler.downgradeElements(element);
+      assert.isNull(container.querySelector('.mdlext-carousel__controls'), 'Expected controls to be removed after downgrade');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('keeps controls in sync with the selected slide', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', controls_fragment);
+
+    const element = document.querySelector('#carousel-7');
+    const spy = sinon.spy();
+
+    try {
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      element.addEventListener('select', spy);
+
+      const controls = element.nextElementSibling;
+      const prev = controls.querySelector('.mdlext-carousel__control--prev');
+      const next = controls.querySelector('.mdlext-carousel__control--next');
+      const indicators = [...controls.querySelectorAll('.mdlext-carousel__indicator')];
+
+      assert.isFalse(indicators.some( i => i.hasAttribute('aria-current')), 'Expected no current indicator when no slide is selected');
+
+      // Focus on a slide selects the slide
+      element.querySelector('#slide-7-1').dispatchEvent(new Event('focus'));
+      assert.equal(indicators[0].getAttribute('aria-current'), 'true', 'Expected indicator to follow "aria-selected"');
+      assert.isTrue(prev.disabled, 'Expected prev to be disabled on first slide');
+
+      next.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-7-2'));
+      assert.equal(indicators[1].getAttribute('aria-current'), 'true', 'Expected second indicator to be current');
+      assert.isFalse(indicators[0].hasAttribute('aria-current'), 'Expected only one indicator to be current');
+      assert.isFalse(prev.disabled, 'Expected prev to be enabled');
+
+      indicators[2].dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      assert.equal(spy.lastCall.args[0].detail.command, 'goto');
+      assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-7-3'), 'Expected indicator to select slide');
+      assert.isTrue(next.disabled, 'Expected next to be disabled on last slide');
+      assert.equal(indicators[2].getAttribute('tabindex'), '0', 'Expected current indicator to be in tab order');
+    }
+    finally {
+      element.removeEventListener('select', spy);
+      removeChildElements(container);
+    }
+  });
+
+  it('has a play/pause toggle in sync with the slideshow', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', controls_fragment);
+
+    try {
+      const element = document.querySelector('#carousel-7');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+
+      const play = element.nextElementSibling.querySelector('.mdlext-carousel__control--play');
+      const c = element.MaterialExtCarousel.getConfig();
+      assert.equal(play.getAttribute('aria-label'), 'Start slideshow');
+
+      play.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      assert.isTrue(c.animationLoop.started, 'Expected play to start slideshow');
+      assert.equal(play.getAttribute('aria-label'), 'Stop slideshow');
+
+      play.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+      assert.isFalse(c.animationLoop.started, 'Expected pause to stop slideshow');
+      assert.equal(play.getAttribute('aria-label'), 'Start slideshow');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play', interval: 100 } } ));
+      assert.equal(play.getAttribute('aria-label'), 'Stop slideshow', 'Expected toggle to follow "play" command');
+
+      element.MaterialExtCarousel.stopAnimation();
+      assert.equal(play.getAttribute('aria-label'), 'Start slideshow', 'Expected toggle to follow "stopAnimation"');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('takes the control labels from the "labels" config', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', controls_fragment.replace(
+      '{ \'controls\': true }', '{ \'controls\': true, \'labels\': { \'next\': \'Neste\', \'stop\': \'Stopp\', \'slide\': \'Bilde {index} av {count}\' } }'));
+
+    try {
+      const element = document.querySelector('#carousel-7');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+
+      const controls = element.nextElementSibling;
+      assert.equal(controls.querySelector('.mdlext-carousel__control--next').getAttribute('aria-label'), 'Neste');
+      assert.equal(controls.querySelector('.mdlext-carousel__control--prev').getAttribute('aria-label'), 'Previous slide', 'Expected default label');
+      assert.equal(controls.querySelector('.mdlext-carousel__indicator').getAttribute('aria-label'), 'Bilde 1 av 3');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play', interval: 100 } } ));
+      assert.equal(controls.querySelector('.mdlext-carousel__control--play').getAttribute('aria-label'), 'Stopp');
+      element.MaterialExtCarousel.stopAnimation();
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('does not render controls for a carousel without a parent element', () => {
+    const element = document.createElement('ul');
+    element.className = 'mdlext-carousel mdlext-js-carousel';
+    element.setAttribute('data-config', '{ \'controls\': true }');
+    element.innerHTML = '<li class="mdlext-carousel__slide"><figure></figure></li>';
+
+    expect(() => componentHandler.upgradeElement(element, 'MaterialExtCarousel')).to.not.throw(Error);
+    componentHandler.downgradeElements(element);
+  });
+
+  it('keeps the tabindex on the focused indicator when the controls update', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', controls_fragment);
+
+    try {
+      const element = document.querySelector('#carousel-7');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+
+      const indicators = [...element.nextElementSibling.querySelectorAll('.mdlext-carousel__indicator')];
+      indicators[0].focus();
+      indicators[0].dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_ARROW_RIGHT }));
+      assert.equal(document.activeElement, indicators[1]);
+
+      // E.g. the slideshow advances while the user is on an indicator
+      element.MaterialExtCarousel.goTo(2);
+      assert.deepEqual(indicators.map( i => i.getAttribute('tabindex')), ['-1', '0', '-1'], 'Expected focused indicator to keep tabindex="0"');
+      assert.equal(indicators[2].getAttribute('aria-current'), 'true');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  it('moves focus between indicators with arrow keys, home and end', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', controls_fragment);
+
+    try {
+      const element = document.querySelector('#carousel-7');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+
+      const indicators = [...element.nextElementSibling.querySelectorAll('.mdlext-carousel__indicator')];
+      const keydown = (target, keyCode) => target.dispatchEvent(
+        new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: keyCode })
+      );
+
+      indicators[0].focus();
+      keydown(indicators[0], VK_ARROW_RIGHT);
+      assert.equal(document.activeElement, indicators[1], 'Expected right arrow to move focus to next indicator');
+      keydown(indicators[1], VK_END);
+      assert.equal(document.activeElement, indicators[2], 'Expected end to move focus to last indicator');
+      keydown(indicators[2], VK_ARROW_RIGHT);
+      assert.equal(document.activeElement, indicators[0], 'Expected right arrow to wrap to first indicator');
+      keydown(indicators[0], VK_ARROW_LEFT);
+      assert.equal(document.activeElement, indicators[2], 'Expected left arrow to wrap to last indicator');
+      keydown(indicators[2], VK_HOME);
+      assert.equal(document.activeElement, indicators[0], 'Expected home to move focus to first indicator');
+      assert.deepEqual(indicators.map( i => i.getAttribute('tabindex')), ['0', '-1', '-1'], 'Expected a roving tabindex');
+    }
+    finally {
+      removeChildElements(container);
+    }
+  });
+
+  describe('snap after drag', () => {
+    let container;
+    let element;
+    let clock;
+
+    // Carousel viewport is 100px, each slide is 50px wide
+    const layout = el => {
+      Object.defineProperty(el, 'clientWidth', { configurable: true, value: 100 });
+      Object.defineProperty(el, 'scrollWidth', { configurable: true, value: 200 });
+      el.getBoundingClientRect = () => ({ left: 0, right: 100, top: 0, bottom: 100, width: 100, height: 100 });
+      [...el.querySelectorAll('.mdlext-carousel__slide')].forEach( (slide, i) => {
+        slide.getBoundingClientRect = () => {
+          const left = i * 50 - el.scrollLeft;
+          return { left: left, right: left + 50, top: 0, bottom: 100, width: 50, height: 100 };
+        };
+      });
+    };
+
+    // Drag from x=200 to x=toX, spending ms milliseconds per move
+    const drag = (toX, ms) => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(new MouseEvent('mousedown', { view: window, bubbles: true, cancelable: true, clientX: 200, clientY: 0 }));
+      [0.5, 1].forEach( f => {
+        clock.tick(ms);
+        element.dispatchEvent(new MouseEvent('mousemove', { view: window, bubbles: true, cancelable: true, clientX: 200 + (toX - 200) * f, clientY: 0 }));
+      });
+      window.dispatchEvent(new MouseEvent('mouseup', { view: window, bubbles: true, cancelable: true, clientX: toX, clientY: 0 }));
+    };
+
+    beforeEach( () => {
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', snap_fragment);
+      element = document.querySelector('#carousel-8');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      layout(element);
+      clock = sinon.useFakeTimers(Date.now());
+    });
+
+    afterEach( () => {
+      clock.restore();
+      removeChildElements(container);
+    });
+
+    it('reads "snap" from "data-config"', () => {
+      expect(element.MaterialExtCarousel.getConfig().snap).to.equal('slide');
+    });
+
+    it('settles on the nearest slide boundary after a slow drag', () => {
+      const spy = sinon.spy(element.MaterialExtCarousel, 'animateScroll_');
+      element.scrollLeft = 70;
+      drag(170, 200);
+      assert.isTrue(spy.calledOnce, 'Expected strip to animate after drag');
+      assert.equal(spy.firstCall.args[0], 50, 'Expected strip to settle on nearest slide');
+    });
+
+    it('advances by one or more slides after a flick', () => {
+      const spy = sinon.spy(element.MaterialExtCarousel, 'animateScroll_');
+      element.scrollLeft = 10;
+      drag(180, 5);
+      assert.isTrue(spy.calledOnce, 'Expected strip to animate after flick');
+      assert.isAtLeast(spy.firstCall.args[0], 50, 'Expected a flick to advance at least one slide');
+
+      spy.reset();
+      element.scrollLeft = 90;
+      drag(220, 5);
+      assert.isAtMost(spy.firstCall.args[0], 50, 'Expected a backward flick to move at least one slide back');
+    });
+
+    it('settles on the nearest page when "snap" is "page"', () => {
+      element.MaterialExtCarousel.getConfig().snap = 'page';
+      const spy = sinon.spy(element.MaterialExtCarousel, 'animateScroll_');
+      element.scrollLeft = 40;
+      drag(170, 200);
+      assert.equal(spy.firstCall.args[0], 0, 'Expected strip to settle on nearest page');
+    });
+
+    it('emits a "select" event instead of snapping when drag distance is less than 2px', () => {
+      const spy = sinon.spy();
+      element.addEventListener('select', spy);
+      element.scrollLeft = 0;
+      drag(201, 200);
+      element.removeEventListener('select', spy);
+      assert.isTrue(spy.called, 'Expected "select" event to fire');
+      assert.equal(spy.firstCall.args[0].detail.command, 'click');
+    });
+
+    it('does not snap when "snap" is "none"', () => {
+      element.MaterialExtCarousel.getConfig().snap = 'none';
+      const spy = sinon.spy(element.MaterialExtCarousel, 'snapToPosition_');
+      element.scrollLeft = 70;
+      drag(170, 200);
+      assert.isFalse(spy.called, 'Expected strip not to snap');
+    });
+  });
+
+  describe('public API', () => {
+    let container;
+    let element;
+    let carousel;
+    let spy;
+
+    beforeEach( () => {
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', snap_fragment);
+      element = document.querySelector('#carousel-8');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      carousel = element.MaterialExtCarousel;
+      spy = sinon.spy();
+      element.addEventListener('select', spy);
+    });
+
+    afterEach( () => {
+      carousel.stopAnimation();
+      element.removeEventListener('select', spy);
+      removeChildElements(container);
+    });
+
+    it('returns slides and selected index', () => {
+      const slides = carousel.getSlides();
+      assert.equal(slides.length, 4);
+      assert.equal(carousel.getSelectedIndex(), -1, 'Expected no selected slide');
+
+      slides[2].setAttribute('aria-selected', '');
+      assert.equal(carousel.getSelectedIndex(), 2);
+    });
+
+    it('selects a slide by index or element with goTo', () => {
+      const slides = carousel.getSlides();
+
+      carousel.goTo(1);
+      assert.equal(carousel.getSelectedIndex(), 1);
+      assert.equal(spy.lastCall.args[0].detail.command, 'goto');
+
+      carousel.goTo(slides[3].querySelector('img'));
+      assert.equal(carousel.getSelectedIndex(), 3, 'Expected goTo to accept an element inside a slide');
+      assert.equal(spy.lastCall.args[0].detail.source, slides[3]);
+    });
+
+    it('selects next and previous slide', () => {
+      carousel.goTo(1);
+      carousel.next();
+      assert.equal(carousel.getSelectedIndex(), 2);
+      assert.equal(spy.lastCall.args[0].detail.command, 'next');
+
+      carousel.prev();
+      carousel.prev();
+      assert.equal(carousel.getSelectedIndex(), 0);
+      assert.equal(spy.lastCall.args[0].detail.command, 'prev');
+    });
+
+    it('does nothing on next and previous if no slide is selected', () => {
+      carousel.next();
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'prev' } } ));
+      assert.equal(carousel.getSelectedIndex(), -1, 'Expected no slide to be selected');
+      assert.isFalse(spy.called, 'Expected no "select" event');
+    });
+
+    it('maps "next" and "prev" commands onto next() and prev()', () => {
+      const nextSpy = sinon.spy(carousel, 'next');
+      const prevSpy = sinon.spy(carousel, 'prev');
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'next' } } ));
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'prev' } } ));
+      assert.isTrue(nextSpy.calledOnce, 'Expected "next" command to call next()');
+      assert.isTrue(prevSpy.calledOnce, 'Expected "prev" command to call prev()');
+    });
+
+    it('plays and pauses the slideshow', () => {
+      const playSpy = sinon.spy(carousel, 'play');
+      const pauseSpy = sinon.spy(carousel, 'pause');
+      assert.isFalse(carousel.isPlaying());
+
+      carousel.play({ interval: 500 });
+      assert.isTrue(carousel.isPlaying(), 'Expected slideshow to run');
+      assert.equal(carousel.getConfig().interval, 500, 'Expected play to update config');
+
+      carousel.pause();
+      assert.isFalse(carousel.isPlaying(), 'Expected slideshow to stop');
+      assert.equal(spy.lastCall.args[0].detail.command, 'pause');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'play' } } ));
+      assert.isTrue(playSpy.calledTwice, 'Expected "play" command to call play()');
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'pause' } } ));
+      assert.isTrue(pauseSpy.calledTwice, 'Expected "pause" command to call pause()');
+      assert.isFalse(carousel.isPlaying());
+    });
+
+    it('applies config changes with setConfig', () => {
+      carousel.setConfig({ loop: 'infinite' });
+      assert.equal(element.querySelectorAll('.mdlext-carousel__slide--clone').length, 4, 'Expected clones when loop is "infinite"');
+
+      carousel.setConfig({ controls: true });
+      assert.isNotNull(element.nextElementSibling, 'Expected controls to be rendered');
+      assert.isTrue(element.nextElementSibling.classList.contains('mdlext-carousel__controls'));
+
+      carousel.setConfig({ orientation: 'vertical' });
+      assert.equal(element.getAttribute('aria-orientation'), 'vertical');
+
+      carousel.setConfig({ loop: 'none', controls: false });
+      assert.equal(element.querySelectorAll('.mdlext-carousel__slide--clone').length, 0, 'Expected clones to be removed');
+      assert.isNull(element.nextElementSibling, 'Expected controls to be removed');
+      assert.equal(carousel.getSlides().length, 4);
+    });
+  });
+
+  describe('dynamic slides', () => {
+    let container;
+    let element;
+    let carousel;
+
+    beforeEach( () => {
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', fragment);
+      element = document.querySelector('#carousel-2');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      carousel = element.MaterialExtCarousel;
+    });
+
+    afterEach( () => {
+      carousel.stopAnimation();
+      removeChildElements(container);
+    });
+
+    it('appends and upgrades slides', () => {
+      const appended = carousel.appendSlides(carousel_slide_fragment + carousel_slide_fragment);
+      assert.equal(appended.length, 2, 'Expected two slides to be appended');
+      assert.equal(carousel.getSlides().length, 4);
+      appended.forEach( slide => {
+        assert.equal(slide.getAttribute('role'), 'listitem', 'Expected appended slide to have role="listitem"');
+        assert.equal(slide.getAttribute('tabindex'), '0', 'Expected appended slide to have tabindex');
+        assert.isNotNull(slide.querySelector('.mdlext-carousel__slide__ripple-container'), 'Expected appended slide to have a ripple');
+      });
+
+      const li = document.createElement('li');
+      li.innerHTML = '<figure><img src="./smiley.jpg"/></figure>';
+      carousel.appendSlides([li]);
+      assert.isTrue(li.classList.contains('mdlext-carousel__slide'), 'Expected appended element to get slide class');
+      assert.equal(carousel.getSlides()[4], li);
+    });
+
+    it('inserts slides before clones', () => {
+      carousel.setConfig({ loop: 'infinite' });
+      const slide = carousel.insertSlide(carousel_slide_fragment, 1);
+      assert.equal(carousel.getSlides()[1], slide, 'Expected slide at index 1');
+
+      const last = carousel.insertSlide(carousel_slide_fragment);
+      assert.equal(carousel.getSlides()[3], last, 'Expected slide to be appended');
+      assert.isTrue(last.nextElementSibling.classList.contains('mdlext-carousel__slide--clone'), 'Expected slide before clones');
+      assert.equal(element.querySelectorAll('.mdlext-carousel__slide--clone').length, 4, 'Expected clones to be rebuilt');
+    });
+
+    it('removes a slide and tears down its ripple', () => {
+      carousel.appendSlides(carousel_slide_fragment);
+      const slide = carousel.getSlides()[1];
+      const removed = carousel.removeSlide(slide.querySelector('img'));
+
+      assert.equal(removed, slide);
+      assert.isNull(slide.parentNode, 'Expected slide to be removed');
+      assert.isNull(slide.querySelector('.mdlext-carousel__slide__ripple-container'), 'Expected ripple to be removed');
+      assert.equal(carousel.getSlides().length, 2);
+      assert.isNull(carousel.removeSlide(10), 'Expected null when slide is not found');
+    });
+
+    it('selects a neighbour when the selected slide is removed', () => {
+      carousel.appendSlides(carousel_slide_fragment);
+      const slides = carousel.getSlides();
+      carousel.goTo(1);
+
+      carousel.removeSlide(1);
+      assert.equal(carousel.getSelectedIndex(), 1, 'Expected next slide to be selected');
+      assert.equal(element.querySelector('[aria-selected]'), slides[2]);
+
+      carousel.removeSlide(1);
+      assert.equal(element.querySelector('[aria-selected]'), slides[0], 'Expected previous slide to be selected');
+    });
+
+    it('keeps the slideshow running, and stops it when the last slide is removed', () => {
+      carousel.play();
+      carousel.removeSlide(carousel.getSelectedIndex());
+      assert.isTrue(carousel.isPlaying(), 'Expected slideshow to continue');
+      assert.equal(carousel.getSelectedIndex(), 0, 'Expected remaining slide to be selected');
+
+      carousel.removeSlide(0);
+      assert.isFalse(carousel.isPlaying(), 'Expected slideshow to stop when no slides are left');
+    });
+
+    it('continues the slideshow from the neighbour of a removed selected slide', () => {
+      carousel.appendSlides(carousel_slide_fragment + carousel_slide_fragment);
+      const slides = carousel.getSlides();
+      carousel.goTo(0);
+
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        carousel.play({ interval: 100 });
+        assert.equal(carousel.getSelectedIndex(), 1, 'Expected slideshow to advance when started');
+
+        carousel.removeSlide(1);
+        assert.equal(element.querySelector('[aria-selected]'), slides[2], 'Expected neighbour to be selected');
+
+        clock.tick(150);
+        mockRaf.step(10);
+        assert.equal(element.querySelector('[aria-selected]'), slides[2], 'Expected next tick to show the neighbour, not skip it');
+
+        clock.tick(100);
+        mockRaf.step(10);
+        assert.equal(element.querySelector('[aria-selected]'), slides[3]);
+      }
+      finally {
+        carousel.stopAnimation();
+        clock.restore();
+      }
+    });
+
+    it('downgrades the ripples of clones when the clones are rebuilt', () => {
+      carousel.setConfig({ loop: 'infinite' });
+      const clone = element.querySelector('.mdlext-carousel__slide--clone');
+      const ripple = clone.querySelector('.mdlext-carousel__slide__ripple-container');
+      assert.isNotNull(ripple, 'Expected clone to have a ripple');
+
+      const spy = sinon.spy();
+      ripple.addEventListener('mdl-componentdowngraded', spy);
+      carousel.upgradeSlides();
+      assert.isTrue(spy.called, 'Expected ripple of removed clone to be downgraded');
+      assert.isNull(clone.parentNode, 'Expected clone to be removed');
+    });
+
+    it('upgrades slides added by other scripts when "observeSlides" is true', () => {
+      let callback = null;
+      const records = [];
+      window.MutationObserver = function(cb) {
+        callback = cb;
+        this.observe = sinon.spy();
+        this.disconnect = sinon.spy();
+        this.takeRecords = () => records.splice(0);
+      };
+
+      try {
+        carousel.setConfig({ observeSlides: true });
+        assert.isNotNull(callback, 'Expected a MutationObserver');
+
+        element.insertAdjacentHTML('beforeend', carousel_slide_fragment);
+        const added = element.lastElementChild;
+        callback([{ addedNodes: [added], removedNodes: [] }]);
+        assert.equal(added.getAttribute('role'), 'listitem', 'Expected observed slide to be upgraded');
+
+        const first = carousel.getSlides()[0];
+        carousel.goTo(0);
+        const next = first.nextSibling;
+        element.removeChild(first);
+        callback([{ addedNodes: [], removedNodes: [first], nextSibling: next, previousSibling: null }]);
+        assert.isNull(first.querySelector('.mdlext-carousel__slide__ripple-container'), 'Expected ripple of removed slide to be torn down');
+        assert.equal(carousel.getSelectedIndex(), 0, 'Expected neighbour to be selected');
+
+        const spy = sinon.spy(carousel, 'upgradeSlides');
+        const clone = document.createElement('li');
+        clone.className = 'mdlext-carousel__slide mdlext-carousel__slide--clone';
+        callback([{ addedNodes: [clone, document.createTextNode(' ')], removedNodes: [] }]);
+        assert.isFalse(spy.called, 'Expected clones and text nodes to be ignored');
+
+        carousel.setConfig({ observeSlides: false });
+        assert.isNull(carousel.mutationObserver_, 'Expected MutationObserver to be removed');
+      }
+      finally {
+        delete window.MutationObserver;
+      }
+    });
+  });
+
+  describe('fade', () => {
+    let container;
+    let element;
+    let carousel;
+    let spy;
+
+    const activeSlides = () => [...element.querySelectorAll('.mdlext-carousel__slide--active')];
+
+    beforeEach( () => {
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', snap_fragment.replace('\'snap\': \'slide\'', '\'type\': \'fade\', \'fadeDuration\': 800'));
+      element = document.querySelector('#carousel-8');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      carousel = element.MaterialExtCarousel;
+      spy = sinon.spy();
+      element.addEventListener('select', spy);
+    });
+
+    afterEach( () => {
+      carousel.stopAnimation();
+      element.removeEventListener('select', spy);
+      removeChildElements(container);
+    });
+
+    it('stacks slides and shows the first slide', () => {
+      assert.isTrue(element.classList.contains('mdlext-carousel--fade'), 'Expected carousel to have class "mdlext-carousel--fade"');
+      assert.deepEqual(activeSlides(), [carousel.getSlides()[0]], 'Expected first slide to be visible');
+      carousel.getSlides().forEach( slide => assert.equal(slide.style.transitionDuration, '800ms') );
+    });
+
+    it('crossfades to the selected slide without scrolling', () => {
+      const scrollSpy = sinon.spy(carousel, 'animateScroll_');
+      carousel.goTo(2);
+      assert.deepEqual(activeSlides(), [carousel.getSlides()[2]]);
+      assert.equal(spy.lastCall.args[0].detail.command, 'goto');
+
+      const slide = carousel.getSlides()[2];
+      slide.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_ARROW_RIGHT }));
+      carousel.getSlides()[3].dispatchEvent(new Event('focus'));
+      assert.deepEqual(activeSlides(), [carousel.getSlides()[3]], 'Expected right arrow to show next slide');
+
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'scroll-prev' } } ));
+      assert.deepEqual(activeSlides(), [carousel.getSlides()[2]], 'Expected "scroll-prev" to show previous slide');
+      assert.equal(spy.lastCall.args[0].detail.command, 'prev');
+      assert.isFalse(scrollSpy.called, 'Expected no scroll animation');
+    });
+
+    it('crossfades during slideshow', () => {
+      carousel.play();
+      assert.deepEqual(activeSlides(), [element.querySelector('[aria-selected]')], 'Expected selected slide to be visible');
+      assert.equal(spy.lastCall.args[0].detail.command, 'next');
+    });
+
+    it('swipes to the next slide', () => {
+      const img = carousel.getSlides()[0].querySelector('img');
+      img.dispatchEvent(new MouseEvent('mousedown', { view: window, bubbles: true, cancelable: true, clientX: 200, clientY: 0 }));
+      element.dispatchEvent(new MouseEvent('mousemove', { view: window, bubbles: true, cancelable: true, clientX: 100, clientY: 0 }));
+      window.dispatchEvent(new MouseEvent('mouseup', { view: window, bubbles: true, cancelable: true, clientX: 100, clientY: 0 }));
+      assert.deepEqual(activeSlides(), [carousel.getSlides()[1]], 'Expected swipe left to show next slide');
+    });
+
+    it('switches instantly if the user prefers reduced motion', () => {
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+      try {
+        carousel.upgradeSlides();
+        carousel.getSlides().forEach( slide => assert.equal(slide.style.transitionDuration, '0ms') );
+      }
+      finally {
+        delete window.matchMedia;
+      }
+    });
+
+    it('restores the slide strip when type changes', () => {
+      carousel.setConfig({ type: 'slide' });
+      assert.isFalse(element.classList.contains('mdlext-carousel--fade'));
+      assert.equal(activeSlides().length, 0);
+      carousel.getSlides().forEach( slide => assert.equal(slide.style.transitionDuration, '') );
+    });
+  });
+
+  describe('vertical orientation', () => {
+    let container;
+    let element;
+
+    // Carousel viewport is 100px high, each slide is 50px high
+    const layout = el => {
+      Object.defineProperty(el, 'clientHeight', { configurable: true, value: 100 });
+      Object.defineProperty(el, 'scrollHeight', { configurable: true, value: 200 });
+      Object.defineProperty(el, 'clientWidth', { configurable: true, value: 50 });
+      Object.defineProperty(el, 'scrollWidth', { configurable: true, value: 50 });
+      el.getBoundingClientRect = () => ({ left: 0, right: 50, top: 0, bottom: 100, width: 50, height: 100 });
+      [...el.querySelectorAll('.mdlext-carousel__slide')].forEach( (slide, i) => {
+        slide.getBoundingClientRect = () => {
+          const top = i * 50 - el.scrollTop;
+          return { left: 0, right: 50, top: top, bottom: top + 50, width: 50, height: 50 };
+        };
+      });
+    };
+
+    beforeEach( () => {
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', vertical_fragment);
+      element = document.querySelector('#carousel-9');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      layout(element);
+      element.scrollTop = 0;
+      element.scrollLeft = 0;
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+    });
+
+    it('has attribute "aria-orientation"', () => {
+      assert.equal(element.getAttribute('aria-orientation'), 'vertical', 'Expected vertical carousel to have aria-orientation="vertical"');
+      assert.equal(document.querySelector('#carousel-1').getAttribute('aria-orientation'), 'horizontal',
+        'Expected carousel to have aria-orientation="horizontal" by default');
+    });
+
+    it('scrolls a page along the Y axis', () => {
+      const spy = sinon.spy(element.MaterialExtCarousel, 'animateScroll_');
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'scroll-next' } }));
+      assert.equal(spy.firstCall.args[0], 100, 'Expected "scroll-next" to scroll by carousel height');
+
+      element.scrollTop = 100;
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'scroll-next' } }));
+      assert.equal(spy.secondCall.args[0], 100, 'Expected "scroll-next" to stop at the bottom of the strip');
+      assert.equal(element.scrollLeft, 0, 'Expected no horizontal scroll');
+    });
+
+    it('moves a slide below the viewport into view', () => {
+      const spy = sinon.spy(element.MaterialExtCarousel, 'animateScroll_');
+      element.dispatchEvent(new CustomEvent('command', { detail: { action : 'last' } }));
+      assert.equal(spy.firstCall.args[0], 100, 'Expected "last" to scroll to the bottom of the strip');
+
+      spy.reset();
+      element.scrollTop = 0;
+      element.MaterialExtCarousel.moveSlideIntoViewport_(element.querySelector('#slide-9-3'));
+      assert.equal(spy.firstCall.args[0], 50, 'Expected slide to be moved into viewport');
+    });
+
+    it('finds the slides in viewport using top and bottom', () => {
+      element.scrollTop = 50;
+      const slides = element.MaterialExtCarousel.getSlidesInViewport_();
+      assert.deepEqual(slides.map( slide => slide.id ), ['slide-9-2', 'slide-9-3']);
+    });
+
+    it('navigates with up and down arrow keys only', () => {
+      const spy = sinon.spy();
+      element.addEventListener('select', spy);
+
+      try {
+        const first = element.querySelector('#slide-9-1');
+        let evt = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_ARROW_DOWN });
+        first.dispatchEvent(evt);
+        assert.isTrue(evt.defaultPrevented, 'Expected down arrow to be handled');
+        assert.equal(spy.lastCall.args[0].detail.source, element.querySelector('#slide-9-2'), 'Expected down arrow to select next slide');
+
+        spy.reset();
+        evt = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, keyCode: VK_ARROW_RIGHT });
+        first.dispatchEvent(evt);
+        assert.isFalse(evt.defaultPrevented, 'Expected right arrow to be left to the page');
+        assert.isFalse(spy.called, 'Expected right arrow not to select a slide');
+      }
+      finally {
+        element.removeEventListener('select', spy);
+      }
+    });
+
+    it('drags along the Y axis', () => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(new MouseEvent('mousedown', { view: window, bubbles: true, cancelable: true, clientX: 10, clientY: 200 }));
+      element.dispatchEvent(new MouseEvent('mousemove', { view: window, bubbles: true, cancelable: true, clientX: 40, clientY: 140 }));
+      mockRaf.step(1);
+      window.dispatchEvent(new MouseEvent('mouseup', { view: window, bubbles: true, cancelable: true, clientX: 40, clientY: 140 }));
+
+      assert.equal(element.scrollTop, 60, 'Expected carousel to scroll vertically');
+      assert.equal(element.scrollLeft, 0, 'Expected no horizontal scroll');
+    });
+
+    it('renders up and down controls', () => {
+      element.MaterialExtCarousel.getConfig().controls = true;
+      element.MaterialExtCarousel.addControls_();
+      const controls = element.nextElementSibling;
+      assert.equal(controls.querySelector('.mdlext-carousel__control--prev i').textContent, 'expand_less');
+      assert.equal(controls.querySelector('.mdlext-carousel__control--next i').textContent, 'expand_more');
+    });
+  });
+
+  describe('lazy loading', () => {
+    let container;
+    let element;
+
+    // Carousel viewport is 100px, each slide is 50px wide
+    const layout = el => {
+      Object.defineProperty(el, 'clientWidth', { configurable: true, value: 100 });
+      Object.defineProperty(el, 'scrollWidth', { configurable: true, value: 300 });
+      el.getBoundingClientRect = () => ({ left: 0, right: 100, top: 0, bottom: 100, width: 100, height: 100 });
+      [...el.querySelectorAll('.mdlext-carousel__slide')].forEach( (slide, i) => {
+        slide.getBoundingClientRect = () => {
+          const left = i * 50 - (el.scrollLeft || 0);
+          return { left: left, right: left + 50, top: 0, bottom: 100, width: 50, height: 100 };
+        };
+      });
+    };
+
+    const loadedSlides = () => [...element.querySelectorAll('.mdlext-carousel__slide')]
+      .filter( slide => slide.querySelector('img').hasAttribute('src') )
+      .map( slide => slide.id );
+
+    beforeEach( () => {
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', lazy_fragment);
+      element = document.querySelector('#carousel-10');
+      element.scrollLeft = 0;
+      layout(element);
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+    });
+
+    afterEach( () => {
+      removeChildElements(container);
+    });
+
+    it('loads images of slides in viewport, and "preload" slides ahead', () => {
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2', 'slide-10-3']);
+
+      const img = element.querySelector('#slide-10-1 img');
+      assert.equal(img.getAttribute('src'), './smiley-1.jpg');
+      assert.equal(img.getAttribute('srcset'), './smiley-1@2x.jpg 2x');
+      assert.isFalse(img.hasAttribute('data-src'), 'Expected "data-src" to be removed');
+      assert.isFalse(img.hasAttribute('data-srcset'), 'Expected "data-srcset" to be removed');
+
+      // jsdom fires 'load' as soon as 'src' is set
+      const pending = [...element.querySelectorAll('.mdlext-carousel__slide--loading')].map( slide => slide.id );
+      assert.deepEqual(pending, ['slide-10-4', 'slide-10-5', 'slide-10-6'],
+        'Expected slides to have class "mdlext-carousel__slide--loading" until images are loaded');
+    });
+
+    it('loads more slides when the carousel scrolls', () => {
+      element.scrollLeft = 150;
+      element.dispatchEvent(new Event('scroll'));
+      element.dispatchEvent(new Event('scroll'));
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2', 'slide-10-3'], 'Expected scroll to be throttled to the next frame');
+
+      mockRaf.step(1);
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2', 'slide-10-3', 'slide-10-4', 'slide-10-5', 'slide-10-6']);
+    });
+
+    it('loads more slides when the window is resized', () => {
+      Object.defineProperty(element, 'clientWidth', { configurable: true, value: 200 });
+      element.getBoundingClientRect = () => ({ left: 0, right: 200, top: 0, bottom: 100, width: 200, height: 100 });
+      window.dispatchEvent(new Event('resize'));
+      mockRaf.step(1);
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2', 'slide-10-3', 'slide-10-4', 'slide-10-5']);
+    });
+
+    it('stops listening to scroll and resize when downgraded', () => {
+      componentHandler.downgradeElements(element);
+      element.scrollLeft = 150;
+      element.dispatchEvent(new Event('scroll'));
+      window.dispatchEvent(new Event('resize'));
+      mockRaf.step(1);
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2', 'slide-10-3']);
+    });
+
+    it('loads more slides during a drag', () => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(new MouseEvent('mousedown', { view: window, bubbles: true, cancelable: true, clientX: 200, clientY: 0 }));
+      element.dispatchEvent(new MouseEvent('mousemove', { view: window, bubbles: true, cancelable: true, clientX: 100, clientY: 0 }));
+      mockRaf.step(1);
+      window.dispatchEvent(new MouseEvent('mouseup', { view: window, bubbles: true, cancelable: true, clientX: 100, clientY: 0 }));
+      assert.include(loadedSlides(), 'slide-10-5', 'Expected slides to load during drag');
+    });
+
+    it('respects "preload" from "data-config"', () => {
+      removeChildElements(container);
+      container.insertAdjacentHTML('beforeend', lazy_fragment.replace('<ul ', '<ul data-config="{ \'preload\': 0 }" '));
+      element = document.querySelector('#carousel-10');
+      element.scrollLeft = 0;
+      layout(element);
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2']);
+    });
+
+    it('emits a "slideloaded" event when the images of a slide are loaded', () => {
+      const spy = sinon.spy();
+      element.addEventListener('slideloaded', spy);
+
+      try {
+        const slide = element.querySelector('#slide-10-4');
+        const ripple = slide.querySelector('.mdlext-carousel__slide__ripple-container');
+        assert.isNotNull(ripple, 'Expected slide with a late loaded image to have a ripple');
+        ripple.title = '';
+
+        element.scrollLeft = 100;
+        element.MaterialExtCarousel.loadSlidesInViewport_();
+        assert.isTrue(spy.called, 'Expected "slideloaded" event to fire');
+        assert.include(spy.args.map( a => a[0].detail.source ), slide, 'Expected "slideloaded" event for slide');
+        assert.isFalse(slide.classList.contains('mdlext-carousel__slide--loading'), 'Expected loading class to be removed');
+        assert.equal(ripple.title, 'Smile 4', 'Expected ripple container to get title from late loaded image');
+      }
+      finally {
+        element.removeEventListener('slideloaded', spy);
+      }
+    });
+
+    it('emits "slideloaderror" and "slideloaded" if an image fails to load', () => {
+      const loadedSpy = sinon.spy();
+      const errorSpy = sinon.spy();
+      element.addEventListener('slideloaded', loadedSpy);
+      element.addEventListener('slideloaderror', errorSpy);
+
+      // Turn 'load' into 'error' before it reaches the image
+      const failLoad = e => {
+        e.stopPropagation();
+        e.target.dispatchEvent(new Event('error'));
+      };
+      element.addEventListener('load', failLoad, true);
+
+      try {
+        const slide = element.querySelector('#slide-10-4');
+        const img = slide.querySelector('img');
+        element.scrollLeft = 100;
+        element.MaterialExtCarousel.loadSlidesInViewport_();
+        assert.isFalse(slide.classList.contains('mdlext-carousel__slide--loading'), 'Expected loading class to be removed');
+
+        const error = errorSpy.args.map( a => a[0].detail ).find( detail => detail.source === slide );
+        assert.isDefined(error, 'Expected "slideloaderror" event for slide');
+        assert.equal(error.image, img);
+
+        const loaded = loadedSpy.args.map( a => a[0].detail ).find( detail => detail.source === slide );
+        assert.isDefined(loaded, 'Expected "slideloaded" event for slide');
+        assert.deepEqual(loaded.failed, [img]);
+
+        // The listeners are removed after the image has settled
+        errorSpy.reset();
+        img.dispatchEvent(new Event('error'));
+        assert.isFalse(errorSpy.called, 'Expected image listeners to be removed');
+      }
+      finally {
+        element.removeEventListener('load', failLoad, true);
+        element.removeEventListener('slideloaded', loadedSpy);
+        element.removeEventListener('slideloaderror', errorSpy);
+      }
+    });
+
+    it('does not treat slides as visible before there is any layout', () => {
+      removeChildElements(container);
+      container.insertAdjacentHTML('beforeend', lazy_fragment);
+      element = document.querySelector('#carousel-10');
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      assert.deepEqual(loadedSlides(), ['slide-10-1', 'slide-10-2'], 'Expected only the first slide, and "preload" slides, to load');
+    });
+  });
+
+  describe('pointer events', () => {
+    let container;
+    let element;
+    let captureSpy;
+    let releaseSpy;
+    let selectSpy;
+
+    const pointerEvent = (type, pointerType, x, y, options = {}) => {
+      const event = new MouseEvent(type, { view: window, bubbles: true, cancelable: true, clientX: x, clientY: y });
+      Object.defineProperty(event, 'pointerId', { value: options.pointerId || 1 });
+      Object.defineProperty(event, 'pointerType', { value: pointerType });
+      Object.defineProperty(event, 'isPrimary', { value: options.isPrimary !== false });
+      Object.defineProperty(event, 'button', { value: options.button || 0 });
+      return event;
+    };
+
+    beforeEach( () => {
+      window.PointerEvent = function() {};
+      container = document.querySelector('#mount-2');
+      container.insertAdjacentHTML('beforeend', fragment);
+      element = document.querySelector('#carousel-2');
+
+      let captured = null;
+      captureSpy = sinon.spy( id => captured = id );
+      releaseSpy = sinon.spy( () => captured = null );
+      element.setPointerCapture = captureSpy;
+      element.releasePointerCapture = releaseSpy;
+      element.hasPointerCapture = id => id === captured;
+
+      componentHandler.upgradeElement(element, 'MaterialExtCarousel');
+      Object.defineProperty(element, 'clientWidth', { configurable: true, value: 100 });
+      Object.defineProperty(element, 'scrollWidth', { configurable: true, value: 400 });
+      element.scrollLeft = 100;
+
+      selectSpy = sinon.spy();
+      element.addEventListener('select', selectSpy);
+    });
+
+    afterEach( () => {
+      element.removeEventListener('select', selectSpy);
+      delete window.PointerEvent;
+      removeChildElements(container);
+    });
+
+    it('drags with a mouse pointer, using pointer capture', () => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(new MouseEvent('mousedown', { view: window, bubbles: true, cancelable: true, clientX: 200 }));
+      assert.isFalse(captureSpy.called, 'Expected mouse events not to start a drag when pointer events are supported');
+
+      const down = pointerEvent('pointerdown', 'mouse', 200, 10, { pointerId: 7 });
+      img.dispatchEvent(down);
+      assert.isTrue(down.defaultPrevented, 'Expected "pointerdown" from a mouse to prevent default');
+      assert.isTrue(captureSpy.calledWith(7), 'Expected carousel to capture the pointer');
+
+      element.dispatchEvent(pointerEvent('pointermove', 'mouse', 150, 40, { pointerId: 7 }));
+      mockRaf.step(1);
+      assert.equal(element.scrollLeft, 150, 'Expected carousel to scroll horizontally');
+
+      element.dispatchEvent(pointerEvent('pointerup', 'mouse', 150, 40, { pointerId: 7 }));
+      assert.isTrue(releaseSpy.calledWith(7), 'Expected pointer capture to be released');
+      assert.isTrue(selectSpy.called, 'Expected "select" event to fire');
+
+      element.dispatchEvent(pointerEvent('pointermove', 'mouse', 50, 40, { pointerId: 7 }));
+      mockRaf.step(1);
+      assert.equal(element.scrollLeft, 150, 'Expected carousel to stop dragging after "pointerup"');
+    });
+
+    it('ignores secondary mouse buttons and non primary pointers', () => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(pointerEvent('pointerdown', 'mouse', 200, 10, { button: 2 }));
+      img.dispatchEvent(pointerEvent('pointerdown', 'touch', 200, 10, { isPrimary: false }));
+      assert.isFalse(captureSpy.called, 'Expected secondary button and non primary pointer not to start a drag');
+    });
+
+    it('drags horizontally with a touch pointer', () => {
+      const img = element.querySelector('img');
+      const down = pointerEvent('pointerdown', 'touch', 200, 10);
+      img.dispatchEvent(down);
+      assert.isFalse(down.defaultPrevented, 'Expected "pointerdown" from touch not to prevent default');
+
+      let move = pointerEvent('pointermove', 'touch', 196, 11);
+      element.dispatchEvent(move);
+      mockRaf.step(1);
+      assert.isFalse(move.defaultPrevented, 'Expected movement below direction lock threshold to be ignored');
+      assert.equal(element.scrollLeft, 100);
+
+      move = pointerEvent('pointermove', 'touch', 170, 14);
+      element.dispatchEvent(move);
+      mockRaf.step(1);
+      assert.isTrue(move.defaultPrevented, 'Expected horizontal movement to lock the drag');
+      assert.equal(element.scrollLeft, 130, 'Expected carousel to scroll horizontally');
+
+      // Another touch point is ignored
+      element.dispatchEvent(pointerEvent('pointermove', 'touch', 0, 14, { pointerId: 2 }));
+      mockRaf.step(1);
+      assert.equal(element.scrollLeft, 130, 'Expected other pointers to be ignored');
+
+      element.dispatchEvent(pointerEvent('pointerup', 'touch', 170, 14));
+      assert.isTrue(selectSpy.called, 'Expected "select" event to fire');
+    });
+
+    it('leaves a vertical touch movement to the browser', () => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(pointerEvent('pointerdown', 'touch', 200, 10));
+
+      let move = pointerEvent('pointermove', 'touch', 197, 40);
+      element.dispatchEvent(move);
+      assert.isFalse(move.defaultPrevented, 'Expected vertical movement not to prevent default');
+      assert.isTrue(releaseSpy.called, 'Expected pointer capture to be released');
+
+      move = pointerEvent('pointermove', 'touch', 100, 40);
+      element.dispatchEvent(move);
+      mockRaf.step(1);
+      assert.equal(element.scrollLeft, 100, 'Expected drag to be abandoned after a vertical movement');
+
+      element.dispatchEvent(pointerEvent('pointerup', 'touch', 100, 40));
+      assert.isFalse(selectSpy.called, 'Expected no "select" event after a page scroll');
+    });
+
+    it('drags with a pen pointer, and stops on "pointercancel"', () => {
+      const img = element.querySelector('img');
+      img.dispatchEvent(pointerEvent('pointerdown', 'pen', 200, 10, { pointerId: 3 }));
+
+      element.dispatchEvent(pointerEvent('pointermove', 'pen', 220, 12, { pointerId: 3 }));
+      mockRaf.step(1);
+      assert.equal(element.scrollLeft, 80, 'Expected carousel to scroll horizontally');
+
+      element.dispatchEvent(pointerEvent('pointercancel', 'pen', 220, 12, { pointerId: 3 }));
+      assert.isTrue(releaseSpy.calledWith(3), 'Expected pointer capture to be released');
+      assert.isFalse(selectSpy.called, 'Expected no "select" event after "pointercancel"');
+    });
+
+    it('locks a touch drag immediately if "touch-action" is "none"', () => {
+      const stub = sinon.stub(window, 'getComputedStyle').returns({ touchAction: 'none' });
+      try {
+        const img = element.querySelector('img');
+        img.dispatchEvent(pointerEvent('pointerdown', 'touch', 200, 10));
+        const move = pointerEvent('pointermove', 'touch', 197, 20);
+        element.dispatchEvent(move);
+        assert.isTrue(move.defaultPrevented, 'Expected drag to be locked without a direction lock threshold');
+        element.dispatchEvent(pointerEvent('pointerup', 'touch', 197, 20));
+      }
+      finally {
+        stub.restore();
+      }
+    });
+  });
+
+  it('leaves a vertical touch movement to the browser when pointer events are not supported', () => {
+    const container = document.querySelector('#mount-2');
+    container.insertAdjacentHTML('beforeend', fragment);
+    const carousel = document.querySelector('#carousel-2');
+    componentHandler.upgradeElement(carousel, 'MaterialExtCarousel');
+    const img = carousel.querySelector('img');
+
+    const touchEvent = (type, x, y) => {
+      const event = new Event(type, { bubbles: true, cancelable: true });
+      Object.defineProperty(event, 'touches', { value: type === 'touchend' ? [] : [{ clientX: x, clientY: y }] });
+      return event;
+    };
+
+    const spy = sinon.spy();
+    carousel.addEventListener('select', spy);
+
+    try {
+      const start = touchEvent('touchstart', 200, 10);
+      img.dispatchEvent(start);
+      assert.isFalse(start.defaultPrevented, 'Expected "touchstart" not to prevent default');
+
+      const move = touchEvent('touchmove', 198, 50);
+      carousel.dispatchEvent(move);
+      assert.isFalse(move.defaultPrevented, 'Expected vertical "touchmove" not to prevent default');
+
+      window.dispatchEvent(touchEvent('touchend', 198, 50));
+      assert.isFalse(spy.called, 'Expected no "select" event after a page scroll');
+    }
+    finally {
+      carousel.removeEventListener('select', spy);
+      removeChildElements(container);
+    }
+  });
+
   it('can scroll slides', () => {
     const carousel = document.querySelector('#carousel-1');
     carousel.scrollLeft = 0;
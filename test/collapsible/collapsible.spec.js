@@ -1,5 +1,5 @@
 /* eslint-env mocha */
-import { before, after, afterEach, describe, it } from 'mocha';
+import { before, after, beforeEach, afterEach, describe, it } from 'mocha';
 import { expect, assert } from 'chai';
 import sinon from 'sinon';
 import requireUncached from 'require-uncached';
@@ -9,6 +9,7 @@ import {patchJsDom} from '../testutils/patch-jsdom';
 import {shouldBehaveLikeAMdlComponent} from '../testutils/shared-component-behaviours';
 import {
   VK_ENTER,
+  VK_ESC,
   VK_SPACE,
 } from '../../src/utils/constants';
 
@@ -103,6 +104,55 @@ const fixture_collapsible_mdl_card = `
 </div>`;
 
 
+const fixture_group = `
+<button id="faq-1" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-collapsible-group="faq" aria-expanded="true" aria-controls="faq-region-1">Question #1</button>
+<div id="faq-region-1" class="${COLLAPSIBLE_REGION_CLASS}"><p>Answer #1</p></div>
+<button id="faq-2" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-collapsible-group="faq" aria-controls="faq-region-2">Question #2</button>
+<div id="faq-region-2" class="${COLLAPSIBLE_REGION_CLASS}"><p>Answer #2</p></div>
+<button id="faq-3" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-collapsible-group="faq" aria-controls="faq-region-3">Question #3</button>
+<div id="faq-region-3" class="${COLLAPSIBLE_REGION_CLASS}"><p>Answer #3</p></div>
+<button id="other-1" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-collapsible-group="other" aria-expanded="true" aria-controls="other-region-1">Other</button>
+<div id="other-region-1" class="${COLLAPSIBLE_REGION_CLASS}"><p>Other</p></div>
+<button id="ungrouped-1" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" aria-expanded="true" aria-controls="ungrouped-region-1">Ungrouped</button>
+<div id="ungrouped-region-1" class="${COLLAPSIBLE_REGION_CLASS}"><p>Ungrouped</p></div>`;
+
+const fixture_animation = `
+<button id="animated" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS} mdlext-js-animation-effect" aria-controls="animated-region-1 animated-region-2">Click to toggle</button>
+<div id="animated-region-1" class="${COLLAPSIBLE_REGION_CLASS}"><p>Region #1</p></div>
+<div id="animated-region-2" class="${COLLAPSIBLE_REGION_CLASS}"><p>Region #2</p></div>`;
+
+const fixture_dismiss_nested = `
+<button id="dismiss-nested" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-collapsible-dismiss aria-controls="dismiss-nested-region">More</button>
+<div id="dismiss-nested-region" class="${COLLAPSIBLE_REGION_CLASS}"><input id="dismiss-nested-input" type="text"></div>`;
+
+const fixture_dismiss = `
+<button id="dismiss" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-collapsible-dismiss aria-controls="dismiss-region">Filter</button>
+<div id="dismiss-region" class="${COLLAPSIBLE_REGION_CLASS}"><input id="dismiss-input" type="text"></div>
+<p id="outside">Outside <a id="outside-link" href="#">link</a></p>`;
+
+const fixture_persist = `
+<button id="persist" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" data-persist data-persist-storage="memory" aria-controls="persist-region">Persist</button>
+<div id="persist-region" class="${COLLAPSIBLE_REGION_CLASS}"><p>Persisted</p></div>`;
+
+const fixture_nested_hash = `
+<button id="outer" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" aria-controls="outer-region">Outer</button>
+<div id="outer-region" class="${COLLAPSIBLE_REGION_CLASS}">
+  <button id="inner" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" aria-controls="inner-region">Inner</button>
+  <div id="inner-region" class="${COLLAPSIBLE_REGION_CLASS}">
+    <h3 id="hash-target">Target</h3>
+  </div>
+</div>
+<button id="sibling" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" aria-controls="sibling-region">Sibling</button>
+<div id="sibling-region" class="${COLLAPSIBLE_REGION_CLASS}"><p>Sibling</p></div>`;
+
+const fixture_lazy = `
+<button id="lazy" class="${JS_COLLAPSIBLE} ${COLLAPSIBLE_CONTROL_CLASS}" aria-controls="lazy-template lazy-src">Lazy</button>
+<div id="lazy-template" class="${COLLAPSIBLE_REGION_CLASS}">
+  <p class="static">Static content</p>
+  <template><button class="mdl-button mdl-js-button from-template">From template</button></template>
+</div>
+<div id="lazy-src" class="${COLLAPSIBLE_REGION_CLASS}" data-src="./region.html"><p>Loading ...</p></div>`;
+
 const fixture = `
 <!DOCTYPE html>
 <html>
@@ -486,6 +536,689 @@ describe('MaterialExtCollapsible', () => {
 
   });
 
+  describe('Groups', () => {
+    const expanded = () => [...document.querySelectorAll(`#mount .${JS_COLLAPSIBLE}`)]
+      .filter(el => el.MaterialExtCollapsible.isExpanded())
+      .map(el => el.id);
+
+    beforeEach( () => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fixture_group);
+      componentHandler.upgradeElements(mount.querySelectorAll(`.${JS_COLLAPSIBLE}`));
+    });
+
+    it('collapses the other collapsibles in the group when expanding', () => {
+      dispatchMouseEvent(document.querySelector('#faq-2'), 'click');
+      expect(expanded()).to.deep.equal(['faq-2', 'other-1', 'ungrouped-1']);
+      expect(document.querySelector('#faq-region-1').hasAttribute('hidden'), 'Expected region of collapsed member to be hidden').to.true;
+
+      document.querySelector('#faq-3').MaterialExtCollapsible.expand();
+      expect(expanded()).to.deep.equal(['faq-3', 'other-1', 'ungrouped-1']);
+    });
+
+    it('does not expand if collapsing a member of the group is cancelled', () => {
+      const member = document.querySelector('#faq-1');
+      const listener = e => e.preventDefault();
+      member.addEventListener('toggle', listener);
+      try {
+        dispatchMouseEvent(document.querySelector('#faq-2'), 'click');
+      }
+      finally {
+        member.removeEventListener('toggle', listener);
+      }
+      expect(expanded()).to.deep.equal(['faq-1', 'other-1', 'ungrouped-1']);
+    });
+
+    it('leaves a disabled member of the group as is', () => {
+      document.querySelector('#faq-1').MaterialExtCollapsible.disableToggle();
+      dispatchMouseEvent(document.querySelector('#faq-2'), 'click');
+      expect(expanded()).to.deep.equal(['faq-1', 'faq-2', 'other-1', 'ungrouped-1']);
+    });
+
+    it('dispatches the expand toggle before collapsing the other members of the group', () => {
+      const actions = [];
+      const listener = e => actions.push(`${e.target.id} ${e.detail.action}`);
+      const mount = document.querySelector('#mount');
+      mount.addEventListener('toggle', listener);
+      try {
+        dispatchMouseEvent(document.querySelector('#faq-2'), 'click');
+      }
+      finally {
+        mount.removeEventListener('toggle', listener);
+      }
+      expect(actions).to.deep.equal(['faq-2 expand', 'faq-1 collapse']);
+    });
+
+    it('does not collapse the other members of the group if the expansion is cancelled', () => {
+      const component = document.querySelector('#faq-2');
+      const listener = e => e.preventDefault();
+      component.addEventListener('toggle', listener);
+      try {
+        dispatchMouseEvent(component, 'click');
+      }
+      finally {
+        component.removeEventListener('toggle', listener);
+      }
+      expect(expanded()).to.deep.equal(['faq-1', 'other-1', 'ungrouped-1']);
+    });
+
+    it('collapses the other members of the group when a deferred expansion resolves, not if it rejects', () => {
+      const settle = () => new Promise( resolve => setTimeout(resolve, 0) );
+      const component = document.querySelector('#faq-2');
+
+      const rejecting = e => e.detail.waitUntil(Promise.reject(new Error('No data')));
+      component.addEventListener('toggle', rejecting);
+      component.MaterialExtCollapsible.expand();
+      component.removeEventListener('toggle', rejecting);
+
+      return settle()
+        .then( () => {
+          expect(expanded()).to.deep.equal(['faq-1', 'other-1', 'ungrouped-1']);
+
+          let resolve;
+          const waiting = e => e.detail.waitUntil(new Promise(r => resolve = r));
+          component.addEventListener('toggle', waiting);
+          component.MaterialExtCollapsible.expand();
+          component.removeEventListener('toggle', waiting);
+          expect(expanded(), 'Expected members to stay expanded while waiting').to.deep.equal(['faq-1', 'other-1', 'ungrouped-1']);
+
+          resolve();
+          return settle();
+        })
+        .then( () => {
+          expect(expanded()).to.deep.equal(['faq-2', 'other-1', 'ungrouped-1']);
+        });
+    });
+
+    it('collapses a single member without affecting the group', () => {
+      document.querySelector('#faq-1').MaterialExtCollapsible.collapse();
+      expect(expanded()).to.deep.equal(['other-1', 'ungrouped-1']);
+    });
+  });
+
+  describe('Animation', () => {
+    let component;
+    let regions;
+
+    beforeEach( () => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fixture_animation);
+      component = document.querySelector('#animated');
+      componentHandler.upgradeElement(component, COLLAPSIBLE_COMPONENT);
+      regions = component.MaterialExtCollapsible.getRegionElements();
+
+      // jsdom has no layout. A region is 100px high, unless hidden or constrained by the transition
+      regions.forEach(region => {
+        region.getBoundingClientRect = () => {
+          const height = region.hasAttribute('hidden') ? 0 : parseFloat(region.style.height || 100);
+          return { top: 0, left: 0, bottom: height, right: 100, width: 100, height: height };
+        };
+      });
+    });
+
+    const transitionEnd = region => region.dispatchEvent(new Event('transitionend'));
+
+    it('adds the animation class to the regions', () => {
+      regions.forEach(region => expect(region.classList.contains('mdlext-collapsible-region--animation')).to.true);
+    });
+
+    it('animates the height of all regions and emits "expanded" when every transition has ended', () => {
+      const spy = sinon.spy();
+      component.addEventListener('expanded', spy);
+      try {
+        component.MaterialExtCollapsible.expand();
+        regions.forEach(region => {
+          expect(region.hasAttribute('hidden')).to.false;
+          expect(region.style.height).to.equal('100px');
+        });
+
+        transitionEnd(regions[0]);
+        expect(spy.called, 'Expected "expanded" to wait for every region').to.false;
+        expect(regions[0].style.height).to.equal('');
+
+        transitionEnd(regions[1]);
+        expect(spy.calledOnce, 'Expected "expanded" event to fire once').to.true;
+      }
+      finally {
+        component.removeEventListener('expanded', spy);
+      }
+    });
+
+    it('keeps collapsed regions hidden after the transition and emits "collapsed"', () => {
+      component.MaterialExtCollapsible.expand();
+      regions.forEach(region => transitionEnd(region));
+
+      const spy = sinon.spy();
+      component.addEventListener('collapsed', spy);
+      try {
+        component.MaterialExtCollapsible.collapse();
+        regions.forEach(region => {
+          expect(region.hasAttribute('hidden'), 'Expected region to be visible while collapsing').to.false;
+          expect(region.style.height).to.equal('0px');
+        });
+        regions.forEach(region => transitionEnd(region));
+      }
+      finally {
+        component.removeEventListener('collapsed', spy);
+      }
+      expect(spy.calledOnce, 'Expected "collapsed" event to fire once').to.true;
+      regions.forEach(region => {
+        expect(region.hasAttribute('hidden')).to.true;
+        expect(region.style.height).to.equal('');
+      });
+    });
+
+    it('reverses from the current height when toggled during a transition', () => {
+      const expandedSpy = sinon.spy();
+      const collapsedSpy = sinon.spy();
+      component.addEventListener('expanded', expandedSpy);
+      component.addEventListener('collapsed', collapsedSpy);
+      try {
+        component.MaterialExtCollapsible.expand();
+        regions.forEach(region => region.style.height = '40px'); // Somewhere in the middle of the transition
+        component.MaterialExtCollapsible.collapse();
+
+        regions.forEach(region => {
+          expect(region.hasAttribute('hidden')).to.false;
+          expect(region.style.height).to.equal('0px');
+        });
+        regions.forEach(region => transitionEnd(region));
+      }
+      finally {
+        component.removeEventListener('expanded', expandedSpy);
+        component.removeEventListener('collapsed', collapsedSpy);
+      }
+      expect(expandedSpy.called, 'Expected interrupted transition not to emit "expanded"').to.false;
+      expect(collapsedSpy.calledOnce).to.true;
+      regions.forEach(region => expect(region.hasAttribute('hidden')).to.true);
+    });
+
+    it('completes the transition if "transitionend" never fires', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        component.MaterialExtCollapsible.expand();
+        expect(regions[0].style.height).to.equal('100px');
+        clock.tick(1000);
+        regions.forEach(region => expect(region.style.height).to.equal(''));
+      }
+      finally {
+        clock.restore();
+      }
+    });
+
+    it('expands and collapses instantly, and still emits the events, without animation effect', () => {
+      component.classList.remove('mdlext-js-animation-effect');
+      const spy = sinon.spy();
+      component.addEventListener('expanded', spy);
+      component.addEventListener('collapsed', spy);
+      try {
+        component.MaterialExtCollapsible.expand();
+        regions.forEach(region => expect(region.style.height).to.equal(''));
+        component.MaterialExtCollapsible.collapse();
+        regions.forEach(region => expect(region.hasAttribute('hidden')).to.true);
+      }
+      finally {
+        component.removeEventListener('expanded', spy);
+        component.removeEventListener('collapsed', spy);
+      }
+      expect(spy.calledTwice).to.true;
+    });
+
+    it('cleans up a running transition when downgraded', () => {
+      component.MaterialExtCollapsible.expand();
+      component.MaterialExtCollapsible.collapse();
+      componentHandler.downgradeElements(component);
+      regions.forEach(region => {
+        expect(region.style.height).to.equal('');
+        expect(region.hasAttribute('hidden')).to.true;
+      });
+    });
+  });
+
+  describe('Dismiss', () => {
+    let component;
+    let region;
+
+    beforeEach( () => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fixture_dismiss);
+      component = document.querySelector('#dismiss');
+      componentHandler.upgradeElement(component, COLLAPSIBLE_COMPONENT);
+      region = document.querySelector('#dismiss-region');
+      component.MaterialExtCollapsible.expand();
+    });
+
+    it('collapses when clicking outside the control and its regions', () => {
+      dispatchMouseEvent(region.querySelector('input'), 'click');
+      expect(component.MaterialExtCollapsible.isExpanded(), 'Expected a click inside the region not to collapse').to.true;
+
+      dispatchMouseEvent(document.querySelector('#outside'), 'click');
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+      expect(region.hasAttribute('hidden')).to.true;
+    });
+
+    it('collapses when touching outside the control and its regions', () => {
+      dispatchMouseEvent(document.querySelector('#outside'), 'touchstart');
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+    });
+
+    it('collapses when focus moves out of the control and its regions', () => {
+      const input = document.querySelector('#dismiss-input');
+      input.focus();
+      component.dispatchEvent(new Event('blur'));
+      expect(component.MaterialExtCollapsible.isExpanded(), 'Expected focus moving into the region not to collapse').to.true;
+
+      document.querySelector('#outside-link').focus();
+      input.dispatchEvent(new Event('blur'));
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+    });
+
+    it('collapses and moves focus to the control when Escape is pressed', () => {
+      const input = document.querySelector('#dismiss-input');
+      input.focus();
+      dispatchKeyDownEvent(input, VK_ESC);
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+      expect(document.activeElement).to.equal(component);
+    });
+
+    it('moves focus to the control if focus is inside the region when dismissed', () => {
+      const input = document.querySelector('#dismiss-input');
+      input.focus();
+      dispatchMouseEvent(document.querySelector('#outside'), 'click');
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+      expect(document.activeElement, 'Expected focus not to be left in the hidden region').to.equal(component);
+    });
+
+    it('leaves focus as is if focus is outside the region when dismissed', () => {
+      const link = document.querySelector('#outside-link');
+      document.querySelector('#dismiss-input').focus();
+      link.focus();
+      document.querySelector('#dismiss-input').dispatchEvent(new Event('blur'));
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+      expect(document.activeElement).to.equal(link);
+    });
+
+    it('stops listening when collapsed', () => {
+      component.MaterialExtCollapsible.collapse();
+      const spy = sinon.spy();
+      component.addEventListener('toggle', spy);
+      try {
+        dispatchMouseEvent(document.querySelector('#outside'), 'click');
+        dispatchKeyDownEvent(document.querySelector('#outside'), VK_ESC);
+      }
+      finally {
+        component.removeEventListener('toggle', spy);
+      }
+      expect(spy.called, 'Expected a collapsed collapsible to ignore outside clicks').to.false;
+    });
+
+    it('does not collapse without the dismiss attribute', () => {
+      component.MaterialExtCollapsible.collapse();
+      component.setAttribute('data-collapsible-dismiss', 'false');
+      component.MaterialExtCollapsible.expand();
+      dispatchMouseEvent(document.querySelector('#outside'), 'click');
+      expect(component.MaterialExtCollapsible.isExpanded()).to.true;
+    });
+
+    it('removes the document listeners when downgraded', () => {
+      componentHandler.downgradeElements(component);
+      dispatchMouseEvent(document.querySelector('#outside'), 'click');
+      expect(component.getAttribute('aria-expanded')).to.equal('true');
+    });
+
+    describe('nested', () => {
+      let inner;
+
+      beforeEach( () => {
+        region.insertAdjacentHTML('beforeend', fixture_dismiss_nested);
+        inner = document.querySelector('#dismiss-nested');
+        componentHandler.upgradeElement(inner, COLLAPSIBLE_COMPONENT);
+      });
+
+      const escapeTwice = () => {
+        const input = document.querySelector('#dismiss-nested-input');
+        input.focus();
+        dispatchKeyDownEvent(input, VK_ESC);
+        expect(inner.MaterialExtCollapsible.isExpanded(), 'Expected Escape to collapse the inner collapsible').to.false;
+        expect(component.MaterialExtCollapsible.isExpanded(), 'Expected Escape not to collapse the outer collapsible').to.true;
+        expect(document.activeElement).to.equal(inner);
+
+        dispatchKeyDownEvent(inner, VK_ESC);
+        expect(component.MaterialExtCollapsible.isExpanded(), 'Expected a second Escape to collapse the outer collapsible').to.false;
+        expect(document.activeElement).to.equal(component);
+      };
+
+      it('collapses the innermost dismissible when Escape is pressed', () => {
+        inner.MaterialExtCollapsible.expand();
+        escapeTwice();
+      });
+
+      it('collapses the innermost dismissible if it listens before the outer dismissible', () => {
+        component.MaterialExtCollapsible.collapse();
+        inner.MaterialExtCollapsible.expand();
+        component.MaterialExtCollapsible.expand();
+        escapeTwice();
+      });
+    });
+  });
+
+  describe('Persistence', () => {
+    let store;
+
+    const upgrade = fragment => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fragment);
+      const component = mount.querySelector(`.${JS_COLLAPSIBLE}`);
+      componentHandler.upgradeElement(component, COLLAPSIBLE_COMPONENT);
+      return component;
+    };
+
+    before( () => {
+      window.MaterialExtCollapsible.registerStorageAdapter('memory', {
+        getItem: key => store[key] === undefined ? null : store[key],
+        setItem: (key, value) => store[key] = value
+      });
+    });
+
+    beforeEach( () => {
+      store = {};
+    });
+
+    it('saves the expanded state keyed by the id of the control', () => {
+      const component = upgrade(fixture_persist);
+      component.MaterialExtCollapsible.expand();
+      expect(store['persist']).to.equal('true');
+      component.MaterialExtCollapsible.collapse();
+      expect(store['persist']).to.equal('false');
+    });
+
+    it('restores the expanded state when upgraded', () => {
+      store['persist'] = 'true';
+      const component = upgrade(fixture_persist);
+      expect(component.MaterialExtCollapsible.isExpanded()).to.true;
+      expect(document.querySelector('#persist-region').hasAttribute('hidden')).to.false;
+    });
+
+    it('uses the value of "data-persist" as key', () => {
+      store['my-key'] = 'true';
+      const component = upgrade(fixture_persist.replace('data-persist ', 'data-persist="my-key" '));
+      expect(component.MaterialExtCollapsible.isExpanded()).to.true;
+      component.MaterialExtCollapsible.collapse();
+      expect(store['my-key']).to.equal('false');
+      expect(store['persist']).to.be.undefined;
+    });
+
+    it('ignores invalid persisted values', () => {
+      store['persist'] = 'yes';
+      const component = upgrade(fixture_persist.replace('data-persist ', 'data-persist aria-expanded="true" '));
+      expect(component.MaterialExtCollapsible.isExpanded()).to.true;
+    });
+
+    it('uses sessionStorage by default', () => {
+      const sessionStorage = { setItem: sinon.spy(), getItem: sinon.spy( () => null ) };
+      const descriptor = Object.getOwnPropertyDescriptor(window, 'sessionStorage');
+      Object.defineProperty(window, 'sessionStorage', { configurable: true, value: sessionStorage });
+      try {
+        const component = upgrade(fixture_persist.replace('data-persist-storage="memory"', ''));
+        expect(sessionStorage.getItem.calledWith('persist')).to.true;
+        component.MaterialExtCollapsible.expand();
+        expect(sessionStorage.setItem.calledWith('persist', 'true')).to.true;
+      }
+      finally {
+        if(descriptor) {
+          Object.defineProperty(window, 'sessionStorage', descriptor);
+        }
+        else {
+          delete window.sessionStorage;
+        }
+      }
+    });
+
+    it('throws an error if the storage is unknown', () => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fixture_persist.replace('data-persist-storage="memory"', 'data-persist-storage="unknown"'));
+      expect(() => new window.MaterialExtCollapsible(mount.querySelector(`.${JS_COLLAPSIBLE}`))).to.throw(Error, /Unknown storage/);
+    });
+
+    it('shares registered storage adapters with the accordion', () => {
+      const accordionStore = {};
+      requireUncached('../../src/accordion/accordion');
+      window.MaterialExtAccordion.registerStorageAdapter('accordion-memory', {
+        getItem: key => accordionStore[key] === undefined ? null : accordionStore[key],
+        setItem: (key, value) => accordionStore[key] = value
+      });
+
+      const component = upgrade(fixture_persist.replace('data-persist-storage="memory"', 'data-persist-storage="accordion-memory"'));
+      component.MaterialExtCollapsible.toggle();
+      expect(Object.keys(accordionStore)).to.have.lengthOf(1);
+    });
+  });
+
+  describe('URL hash', () => {
+    const upgrade = () => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fixture_nested_hash);
+      componentHandler.upgradeElements(mount.querySelectorAll(`.${JS_COLLAPSIBLE}`));
+    };
+
+    const isExpanded = id => document.querySelector(`#${id}`).MaterialExtCollapsible.isExpanded();
+
+    afterEach( () => {
+      window.location.hash = '';
+    });
+
+    it('expands the collapsible and its ancestors when upgraded', () => {
+      const descriptor = Object.getOwnPropertyDescriptor(window.Element.prototype, 'scrollIntoView');
+      const spy = sinon.spy();
+      window.Element.prototype.scrollIntoView = spy;
+      window.location.hash = '#hash-target';
+      try {
+        upgrade();
+      }
+      finally {
+        if(descriptor) {
+          Object.defineProperty(window.Element.prototype, 'scrollIntoView', descriptor);
+        }
+        else {
+          delete window.Element.prototype.scrollIntoView;
+        }
+      }
+      expect(isExpanded('outer')).to.true;
+      expect(isExpanded('inner')).to.true;
+      expect(isExpanded('sibling')).to.false;
+      expect(document.querySelector('#inner-region').hasAttribute('hidden')).to.false;
+      expect(spy.calledOnce).to.true;
+      expect(spy.firstCall.thisValue).to.equal(document.querySelector('#hash-target'));
+    });
+
+    it('expands and scrolls to the target on "hashchange"', () => {
+      upgrade();
+      expect(isExpanded('inner')).to.false;
+
+      const target = document.querySelector('#hash-target');
+      const spy = sinon.spy();
+      target.scrollIntoView = spy;
+
+      window.location.hash = '#hash-target';
+      window.dispatchEvent(new Event('hashchange'));
+
+      expect(isExpanded('outer')).to.true;
+      expect(isExpanded('inner')).to.true;
+      expect(spy.calledOnce, 'Expected only the innermost collapsible to scroll the target into view').to.true;
+    });
+
+    it('ignores a fragment that is not inside a region', () => {
+      upgrade();
+      window.location.hash = '#sibling';
+      window.dispatchEvent(new Event('hashchange'));
+      expect(isExpanded('outer')).to.false;
+      expect(isExpanded('sibling')).to.false;
+    });
+
+    it('stops listening to "hashchange" when downgraded', () => {
+      upgrade();
+      componentHandler.downgradeElements([...document.querySelectorAll(`#mount .${JS_COLLAPSIBLE}`)]);
+      window.location.hash = '#hash-target';
+      window.dispatchEvent(new Event('hashchange'));
+      expect(document.querySelector('#inner').getAttribute('aria-expanded')).to.equal('false');
+    });
+  });
+
+  describe('Lazy content', () => {
+    let component;
+    let templateRegion;
+    let srcRegion;
+
+    // Resolves after pending promise callbacks
+    const settle = () => new Promise( resolve => setTimeout(resolve, 0) );
+
+    const response = (body, ok = true) => Promise.resolve({ ok: ok, status: ok ? 200 : 404, text: () => Promise.resolve(body) });
+
+    beforeEach( () => {
+      const mount = document.querySelector('#mount');
+      mount.insertAdjacentHTML('beforeend', fixture_lazy);
+      component = document.querySelector('#lazy');
+      componentHandler.upgradeElement(component, COLLAPSIBLE_COMPONENT);
+      templateRegion = document.querySelector('#lazy-template');
+      srcRegion = document.querySelector('#lazy-src');
+    });
+
+    afterEach( () => {
+      delete window.fetch;
+    });
+
+    it('renders and upgrades the template content on first expand', () => {
+      window.fetch = () => response('<p>Loaded</p>');
+      expect(templateRegion.querySelector('.from-template'), 'Expected template content not to render before expanding').to.null;
+
+      component.MaterialExtCollapsible.expand();
+      const button = templateRegion.querySelector('.from-template');
+      expect(button).to.not.null;
+      expect(button.getAttribute('data-upgraded')).to.include('MaterialButton');
+      expect(templateRegion.querySelector('template')).to.null;
+      expect(templateRegion.querySelector('.static'), 'Expected other region content to be kept').to.not.null;
+    });
+
+    it('fetches "data-src" on first expand, with aria-busy while loading, and caches the result', () => {
+      window.fetch = sinon.spy( () => response('<p class="loaded">Loaded</p>') );
+      expect(window.fetch.called, 'Expected content not to load before expanding').to.false;
+
+      const spy = sinon.spy();
+      component.addEventListener('regionloaded', spy);
+      component.MaterialExtCollapsible.expand();
+      expect(srcRegion.getAttribute('aria-busy')).to.equal('true');
+      expect(srcRegion.classList.contains('mdlext-collapsible-region--loading')).to.true;
+
+      return settle().then( () => {
+        component.removeEventListener('regionloaded', spy);
+        expect(window.fetch.calledWith('./region.html')).to.true;
+        expect(srcRegion.querySelector('.loaded')).to.not.null;
+        expect(srcRegion.hasAttribute('aria-busy')).to.false;
+        expect(srcRegion.hasAttribute('data-src')).to.false;
+        expect(spy.calledWithMatch({ detail: { region: srcRegion } })).to.true;
+
+        component.MaterialExtCollapsible.collapse();
+        component.MaterialExtCollapsible.expand();
+        expect(window.fetch.calledOnce, 'Expected content to load only once').to.true;
+      });
+    });
+
+    it('retries loading on the next expand if loading failed', () => {
+      window.fetch = sinon.spy( () => response('', false) );
+      const spy = sinon.spy();
+      component.addEventListener('regionerror', spy);
+      component.MaterialExtCollapsible.expand();
+
+      return settle().then( () => {
+        component.removeEventListener('regionerror', spy);
+        expect(spy.calledOnce).to.true;
+        expect(srcRegion.classList.contains('mdlext-collapsible-region--error')).to.true;
+        expect(srcRegion.hasAttribute('aria-busy')).to.false;
+        expect(srcRegion.getAttribute('data-src')).to.equal('./region.html');
+
+        component.MaterialExtCollapsible.collapse();
+        component.MaterialExtCollapsible.expand();
+        expect(window.fetch.calledTwice).to.true;
+      });
+    });
+
+    it('defers expansion until the promise passed to waitUntil resolves', () => {
+      window.fetch = () => response('<p>Loaded</p>');
+      let resolve;
+      const listener = e => e.detail.waitUntil(new Promise(r => resolve = r));
+      component.addEventListener('toggle', listener);
+      component.MaterialExtCollapsible.expand();
+      component.removeEventListener('toggle', listener);
+
+      expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+      expect(templateRegion.getAttribute('aria-busy')).to.equal('true');
+
+      resolve();
+      return settle().then( () => {
+        expect(component.MaterialExtCollapsible.isExpanded()).to.true;
+        expect(templateRegion.hasAttribute('aria-busy')).to.false;
+        expect(templateRegion.hasAttribute('hidden')).to.false;
+      });
+    });
+
+    it('does not expand if the promise passed to waitUntil rejects', () => {
+      const listener = e => e.detail.waitUntil(Promise.reject(new Error('No data')));
+      component.addEventListener('toggle', listener);
+      component.MaterialExtCollapsible.expand();
+      component.removeEventListener('toggle', listener);
+
+      return settle().then( () => {
+        expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+        expect(templateRegion.hasAttribute('aria-busy')).to.false;
+      });
+    });
+
+    it('has an error state if window.fetch is not available', () => {
+      delete window.fetch;
+      const spy = sinon.spy();
+      component.addEventListener('regionerror', spy);
+      expect(() => component.MaterialExtCollapsible.expand()).to.not.throw(Error);
+      expect(component.MaterialExtCollapsible.isExpanded()).to.true;
+
+      return settle().then( () => {
+        component.removeEventListener('regionerror', spy);
+        expect(spy.calledOnce).to.true;
+        expect(srcRegion.classList.contains('mdlext-collapsible-region--error')).to.true;
+        expect(srcRegion.hasAttribute('aria-busy')).to.false;
+      });
+    });
+
+    it('cancels a deferred expansion when downgraded', () => {
+      let resolve;
+      const listener = e => e.detail.waitUntil(new Promise(r => resolve = r));
+      component.addEventListener('toggle', listener);
+      component.MaterialExtCollapsible.expand();
+      component.removeEventListener('toggle', listener);
+
+      componentHandler.downgradeElements(component);
+      expect(templateRegion.hasAttribute('aria-busy'), 'Expected aria-busy to be removed when downgraded').to.false;
+      resolve();
+      return settle().then( () => {
+        expect(component.getAttribute('aria-expanded')).to.equal('false');
+      });
+    });
+
+    it('cancels a deferred expansion when toggled while waiting', () => {
+      let resolve;
+      const listener = e => e.detail.waitUntil(new Promise(r => resolve = r));
+      component.addEventListener('toggle', listener);
+      component.MaterialExtCollapsible.toggle();
+      component.removeEventListener('toggle', listener);
+
+      component.MaterialExtCollapsible.toggle();
+      expect(templateRegion.hasAttribute('aria-busy')).to.false;
+      resolve();
+      return settle().then( () => {
+        expect(component.MaterialExtCollapsible.isExpanded()).to.false;
+      });
+    });
+  });
+
   describe('Events', () => {
     let component;
     let control;
@@ -0,0 +1,102 @@
+'use strict';
+import jsdomify from 'jsdomify';
+import sinon from 'sinon';
+import { fetchContent, loadContent } from '../../src/utils/content-loader';
+
+import { describe, before, after, afterEach, it } from 'mocha';
+import { expect } from 'chai';
+
+
+describe('content-loader', () => {
+
+  const fixture = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Fixture</title>
+</head>
+<body>
+<div id='mount'></div>
+</body>
+</html>`;
+
+  const response = (body, ok = true) => Promise.resolve({ ok: ok, status: ok ? 200 : 404, text: () => Promise.resolve(body) });
+
+  const classes = { loadingClass: 'is-loading', errorClass: 'is-error' };
+
+  before( () => {
+    jsdomify.create(fixture);
+  });
+
+  after( () => {
+    jsdomify.destroy();
+  });
+
+  afterEach( () => {
+    delete window.fetch;
+  });
+
+  describe('#fetchContent', () => {
+
+    it('resolves with the response text', () => {
+      window.fetch = sinon.spy( () => response('<p>Content</p>') );
+      return fetchContent('./content.html').then( content => {
+        expect(window.fetch.calledWith('./content.html')).to.true;
+        expect(content).to.equal('<p>Content</p>');
+      });
+    });
+
+    it('rejects if the response is not ok', () => {
+      window.fetch = () => response('', false);
+      return fetchContent('./missing.html').then(
+        () => expect.fail(),
+        error => expect(error.message).to.include('Status: 404')
+      );
+    });
+
+    it('rejects if window.fetch is not available', () => {
+      delete window.fetch;
+      return fetchContent('./content.html').then(
+        () => expect.fail(),
+        error => expect(error.message).to.include('window.fetch')
+      );
+    });
+  });
+
+  describe('#loadContent', () => {
+
+    it('is busy while loading', () => {
+      const element = document.createElement('div');
+      element.classList.add(classes.errorClass);
+      const loaded = loadContent(element, () => response('<p>Content</p>').then( r => r.text() ), classes);
+
+      expect(element.getAttribute('aria-busy')).to.equal('true');
+      expect(element.classList.contains(classes.loadingClass)).to.true;
+      expect(element.classList.contains(classes.errorClass)).to.false;
+
+      return loaded.then( content => {
+        expect(content).to.equal('<p>Content</p>');
+        expect(element.hasAttribute('aria-busy')).to.false;
+        expect(element.classList.contains(classes.loadingClass)).to.false;
+      });
+    });
+
+    it('has the error class if loading fails', () => {
+      const element = document.createElement('div');
+      const error = new Error('failed');
+      const load = () => {
+        throw error;
+      };
+      return loadContent(element, load, classes).then(
+        () => expect.fail(),
+        e => {
+          expect(e).to.equal(error);
+          expect(element.hasAttribute('aria-busy')).to.false;
+          expect(element.classList.contains(classes.loadingClass)).to.false;
+          expect(element.classList.contains(classes.errorClass)).to.true;
+        }
+      );
+    });
+  });
+});
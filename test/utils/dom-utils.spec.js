@@ -9,8 +9,11 @@ import {
   isFocusable,
   isRectInsideWindowViewport,
   moveElements,
+  prefersReducedMotion,
   removeChildElements,
   tether,
+  transitionDuration,
+  transitionSize,
 } from '../../src/utils/dom-utils';
 
 import { describe, before, beforeEach, after, afterEach, it } from 'mocha';
@@ -312,4 +315,132 @@ describe('dom-utils', () => {
 
   });
 
+  describe('#prefersReducedMotion', () => {
+
+    afterEach( () => {
+      delete window.matchMedia;
+    });
+
+    it('is false if matchMedia is not supported', () => {
+      delete window.matchMedia;
+      expect(prefersReducedMotion()).to.false;
+    });
+
+    it('is true if the "prefers-reduced-motion: reduce" media query matches', () => {
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+      expect(prefersReducedMotion()).to.true;
+    });
+  });
+
+  describe('#transitionDuration', () => {
+    let stub;
+
+    const stubDuration = duration => {
+      stub = sinon.stub(window, 'getComputedStyle', () => ({ transitionDuration: duration }));
+    };
+
+    afterEach( () => {
+      if(stub) {
+        stub.restore();
+        stub = undefined;
+      }
+    });
+
+    it('reads the first duration in seconds or milliseconds', () => {
+      const div = document.createElement('div');
+      stubDuration('0.3s, 0s');
+      expect(transitionDuration(div)).to.equal(300);
+      stub.restore();
+
+      stubDuration('150ms');
+      expect(transitionDuration(div)).to.equal(150);
+    });
+
+    it('returns the default duration if the duration can not be read', () => {
+      const div = document.createElement('div');
+      stubDuration('');
+      expect(transitionDuration(div)).to.equal(200);
+      expect(transitionDuration(div, 100)).to.equal(100);
+    });
+  });
+
+  describe('#transitionSize', () => {
+    let div;
+    let done;
+
+    beforeEach( () => {
+      div = document.createElement('div');
+      document.querySelector('#mount').appendChild(div);
+      done = sinon.spy();
+    });
+
+    afterEach( () => {
+      div.parentNode.removeChild(div);
+      delete window.matchMedia;
+    });
+
+    it('sets the size and calls done when the transition ends', () => {
+      const cancel = transitionSize(div, 'height', 0, 100, done);
+      expect(cancel).to.be.a('function');
+      expect(div.style.height).to.equal('100px');
+      expect(div.style.overflow).to.equal('hidden');
+      expect(done.called).to.false;
+
+      div.dispatchEvent(new Event('transitionend'));
+      expect(done.calledOnce).to.true;
+      expect(div.style.height).to.equal('');
+      expect(div.style.overflow).to.equal('');
+    });
+
+    it('ignores transitions of other properties', () => {
+      transitionSize(div, 'width', 50, 300, done);
+      const event = new Event('transitionend');
+      event.propertyName = 'opacity';
+      div.dispatchEvent(event);
+      expect(done.called).to.false;
+      expect(div.style.width).to.equal('300px');
+    });
+
+    it('calls done if "transitionend" never fires', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        transitionSize(div, 'height', 100, 0, done);
+        clock.tick(1000);
+        expect(done.calledOnce).to.true;
+        expect(div.style.height).to.equal('');
+      }
+      finally {
+        clock.restore();
+      }
+    });
+
+    it('does not call done when cancelled', () => {
+      const clock = sinon.useFakeTimers(Date.now());
+      try {
+        const cancel = transitionSize(div, 'height', 0, 100, done);
+        cancel();
+        expect(div.style.height).to.equal('');
+        div.dispatchEvent(new Event('transitionend'));
+        clock.tick(1000);
+        expect(done.called).to.false;
+      }
+      finally {
+        clock.restore();
+      }
+    });
+
+    it('calls done at once if there is nothing to animate', () => {
+      expect(transitionSize(div, 'height', 100, 100, done)).to.null;
+      expect(done.calledOnce).to.true;
+      expect(div.style.height).to.equal('');
+    });
+
+    it('calls done at once if the user prefers reduced motion', () => {
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+      expect(transitionSize(div, 'height', 0, 100, done)).to.null;
+      expect(done.calledOnce).to.true;
+      expect(div.style.height).to.equal('');
+    });
+  });
+
 });
@@ -0,0 +1,88 @@
+'use strict';
+import jsdomify from 'jsdomify';
+import {
+  getStorageAdapter,
+  hashId,
+  registerStorageAdapter,
+  setHashId,
+} from '../../src/utils/storage';
+
+import { describe, before, after, afterEach, it } from 'mocha';
+import { expect } from 'chai';
+
+
+describe('storage', () => {
+
+  const fixture = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>Fixture</title>
+</head>
+<body>
+<div id='mount'></div>
+</body>
+</html>`;
+
+  before( () => {
+    jsdomify.create(fixture);
+  });
+
+  after( () => {
+    jsdomify.destroy();
+  });
+
+  afterEach( () => {
+    window.location.hash = '';
+  });
+
+  describe('#getStorageAdapter', () => {
+
+    it('has "session", "local" and "hash" adapters', () => {
+      ['session', 'local', 'hash'].forEach( name => {
+        const adapter = getStorageAdapter(name);
+        expect(adapter.getItem).to.be.a('function');
+        expect(adapter.setItem).to.be.a('function');
+      });
+    });
+
+    it('returns a registered adapter', () => {
+      const adapter = { getItem: () => null, setItem: () => {} };
+      registerStorageAdapter('storage-spec', adapter);
+      expect(getStorageAdapter('storage-spec')).to.equal(adapter);
+    });
+
+    it('throws an error if the storage is unknown', () => {
+      expect( () => getStorageAdapter('unknown') ).to.throw(Error, /Unknown storage "unknown"/);
+    });
+  });
+
+  describe('hash', () => {
+
+    it('keeps other parameters when an item is saved', () => {
+      window.location.hash = '#other=1';
+      getStorageAdapter('hash').setItem('key', '{"a":1}');
+      expect(window.location.hash).to.include('other=1');
+      expect(getStorageAdapter('hash').getItem('key')).to.equal('{"a":1}');
+      expect(getStorageAdapter('hash').getItem('missing')).to.be.null;
+    });
+
+    it('keeps saved items when the deep link is set', () => {
+      getStorageAdapter('hash').setItem('key', 'value');
+      setHashId('tab-1');
+      expect(window.location.hash).to.equal('#tab-1&key=value');
+      expect(hashId()).to.equal('tab-1');
+
+      setHashId('tab 2');
+      getStorageAdapter('hash').setItem('key', 'other');
+      expect(window.location.hash).to.equal('#tab%202&key=other');
+      expect(hashId()).to.equal('tab 2');
+    });
+
+    it('has no deep link if the fragment only holds saved items', () => {
+      window.location.hash = '#key=value';
+      expect(hashId()).to.equal('');
+    });
+  });
+});